@@ -0,0 +1,101 @@
+const { ACTION_LIMITS } = require('./constants');
+
+/**
+ * Interactions that can run before the above-fold scan
+ * click, hover - pointer on the first element matching `selector`
+ * type - type `text` into the element matching `selector`
+ * scroll - scroll the element matching `selector` into view
+ * waitForSelector - wait until an element matching `selector` is visible
+ * wait - pause for `ms` milliseconds
+ */
+const ACTION_TYPES = [
+  'click',
+  'hover',
+  'type',
+  'scroll',
+  'waitForSelector',
+  'wait',
+];
+
+/**
+ * Validate the `actions` request field
+ * @param {*} value - Value to validate
+ * @returns {string[]} - Error messages
+ */
+function validateActions(value) {
+  if (value === undefined) return [];
+
+  if (!Array.isArray(value)) {
+    return ['actions must be an array'];
+  }
+  if (value.length > ACTION_LIMITS.MAX_ACTIONS) {
+    return [
+      `actions must contain at most ${ACTION_LIMITS.MAX_ACTIONS} entries`,
+    ];
+  }
+
+  return value.flatMap((action, index) =>
+    validateAction(action).map((error) => `actions[${index}]: ${error}`)
+  );
+}
+
+/**
+ * Validate a single action
+ * @returns {string[]} - Error messages
+ */
+function validateAction(action) {
+  if (!action || typeof action !== 'object' || Array.isArray(action)) {
+    return ['action must be an object'];
+  }
+  if (!ACTION_TYPES.includes(action.type)) {
+    return [`type must be one of: ${ACTION_TYPES.join(', ')}`];
+  }
+
+  const errors = [];
+
+  if (action.type === 'wait') {
+    if (
+      !Number.isInteger(action.ms) ||
+      action.ms < 0 ||
+      action.ms > ACTION_LIMITS.MAX_WAIT
+    ) {
+      errors.push(
+        `ms must be an integer between 0 and ${ACTION_LIMITS.MAX_WAIT}`
+      );
+    }
+  } else if (typeof action.selector !== 'string' || !action.selector.trim()) {
+    errors.push('selector must be a non-empty string');
+  }
+
+  if (action.type === 'type' && typeof action.text !== 'string') {
+    errors.push('text must be a string');
+  }
+
+  if (
+    action.timeout !== undefined &&
+    (!Number.isInteger(action.timeout) ||
+      action.timeout <= 0 ||
+      action.timeout > ACTION_LIMITS.MAX_TIMEOUT)
+  ) {
+    errors.push(
+      `timeout must be an integer between 1 and ${ACTION_LIMITS.MAX_TIMEOUT}`
+    );
+  }
+
+  if (action.optional !== undefined && typeof action.optional !== 'boolean') {
+    errors.push('optional must be a boolean');
+  }
+
+  return errors;
+}
+
+/**
+ * Short human-readable form of an action for logs and errors
+ */
+function describeAction(action) {
+  return action.type === 'wait'
+    ? `wait ${action.ms}ms`
+    : `${action.type} ${action.selector}`;
+}
+
+module.exports = { ACTION_TYPES, validateActions, describeAction };
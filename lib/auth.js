@@ -0,0 +1,243 @@
+const COOKIE_SAME_SITE_VALUES = ['Strict', 'Lax', 'None'];
+
+/**
+ * Validate the `auth` request field
+ * { cookies, headers, httpCredentials, localStorage }, all optional
+ * Messages name the offending field, never its value.
+ * @param {*} auth - Value to validate
+ * @returns {string[]} - Error messages
+ */
+function validateAuth(auth) {
+  if (auth === undefined) return [];
+
+  if (!isPlainObject(auth)) {
+    return ['auth must be an object'];
+  }
+
+  const errors = [];
+
+  if (auth.cookies !== undefined) {
+    if (!Array.isArray(auth.cookies)) {
+      errors.push('auth.cookies must be an array');
+    } else {
+      auth.cookies.forEach((cookie, index) => {
+        errors.push(
+          ...validateCookie(cookie).map(
+            (error) => `auth.cookies[${index}]: ${error}`
+          )
+        );
+      });
+    }
+  }
+
+  if (auth.headers !== undefined && !isStringMap(auth.headers)) {
+    errors.push('auth.headers must map header names to string values');
+  }
+
+  if (auth.httpCredentials !== undefined) {
+    const credentials = auth.httpCredentials;
+    if (
+      !isPlainObject(credentials) ||
+      typeof credentials.username !== 'string' ||
+      typeof credentials.password !== 'string'
+    ) {
+      errors.push(
+        'auth.httpCredentials must be an object with string username and password'
+      );
+    }
+  }
+
+  if (auth.localStorage !== undefined && !isStringMap(auth.localStorage)) {
+    errors.push('auth.localStorage must map keys to string values');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a single cookie
+ * @returns {string[]} - Error messages
+ */
+function validateCookie(cookie) {
+  if (!isPlainObject(cookie)) {
+    return ['cookie must be an object'];
+  }
+
+  const errors = [];
+
+  if (typeof cookie.name !== 'string' || !cookie.name) {
+    errors.push('name must be a non-empty string');
+  }
+  if (typeof cookie.value !== 'string') {
+    errors.push('value must be a string');
+  }
+  for (const field of ['domain', 'path']) {
+    if (cookie[field] !== undefined && typeof cookie[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  if (cookie.url !== undefined) {
+    if (cookie.domain !== undefined || cookie.path !== undefined) {
+      errors.push('url cannot be combined with domain or path');
+    } else if (!isHttpUrl(cookie.url)) {
+      errors.push('url must be an http(s) URL');
+    }
+  }
+  if (cookie.expires !== undefined && typeof cookie.expires !== 'number') {
+    errors.push('expires must be a Unix timestamp in seconds');
+  }
+  for (const field of ['httpOnly', 'secure']) {
+    if (cookie[field] !== undefined && typeof cookie[field] !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+    }
+  }
+  if (
+    cookie.sameSite !== undefined &&
+    !COOKIE_SAME_SITE_VALUES.includes(cookie.sameSite)
+  ) {
+    errors.push(
+      `sameSite must be one of: ${COOKIE_SAME_SITE_VALUES.join(', ')}`
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve validated cookies into Playwright cookies
+ * A cookie without a url or domain is scoped to the page's host, and a
+ * domain cookie without a path to the whole site.
+ * @param {Object[]} cookies - Request cookies
+ * @param {string} pageUrl - URL of the page being rendered
+ * @returns {Object[]} - Cookies for BrowserContext.addCookies
+ */
+function resolveCookies(cookies, pageUrl) {
+  return cookies.map((cookie) => {
+    if (cookie.url) return cookie;
+    return {
+      ...cookie,
+      domain: cookie.domain || new URL(pageUrl).hostname,
+      path: cookie.path || '/',
+    };
+  });
+}
+
+/**
+ * Headers that authenticate an out-of-band request the way the browser would
+ * The extra headers and basic-auth credentials only go to the page's origin;
+ * other origins (CDNs, third-party sheets) get none.
+ * @param {Object} auth - Validated `auth` field
+ * @param {string} url - URL being requested
+ * @param {string} pageUrl - URL of the page being rendered
+ * @returns {Object} - Header name -> value
+ */
+function getAuthHeaders(auth, url, pageUrl) {
+  if (!isSameOrigin(url, pageUrl)) return {};
+
+  const headers = { ...auth.headers };
+  if (auth.httpCredentials) {
+    const { username, password } = auth.httpCredentials;
+    headers.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+
+  return headers;
+}
+
+/**
+ * Cookie header for an out-of-band request, from the request cookies that
+ * the browser would send to that URL (domain, path, secure and expiry)
+ * @param {Object[]} cookies - Request cookies
+ * @param {string} url - URL being requested
+ * @param {string} pageUrl - URL the cookies are scoped to when they name no
+ *   url or domain
+ * @returns {string|null} - `name=value; ...`, or null when none apply
+ */
+function getCookieHeader(cookies, url, pageUrl) {
+  const target = new URL(url);
+  const now = Date.now() / 1000;
+
+  const matching = resolveCookies(cookies, pageUrl).filter((cookie) => {
+    const scope = cookie.url
+      ? { domain: new URL(cookie.url).hostname, path: '/' }
+      : cookie;
+    return (
+      matchesCookieDomain(target.hostname, scope.domain) &&
+      matchesCookiePath(target.pathname, scope.path) &&
+      (!cookie.secure || target.protocol === 'https:') &&
+      !(cookie.expires > 0 && cookie.expires < now)
+    );
+  });
+
+  if (matching.length === 0) return null;
+  return matching.map((cookie) => `${cookie.name}=${cookie.value}`).join('; ');
+}
+
+/**
+ * Summary of an `auth` field that is safe to log: which kinds of credentials
+ * were supplied, never their names or values
+ * @param {Object} auth - Validated `auth` field
+ * @returns {string} - e.g. "2 cookie(s), 1 header(s), basic auth"
+ */
+function describeAuth(auth) {
+  const parts = [];
+  if (auth.cookies?.length) parts.push(`${auth.cookies.length} cookie(s)`);
+  if (auth.headers && Object.keys(auth.headers).length > 0) {
+    parts.push(`${Object.keys(auth.headers).length} header(s)`);
+  }
+  if (auth.httpCredentials) parts.push('basic auth');
+  if (auth.localStorage && Object.keys(auth.localStorage).length > 0) {
+    parts.push(`${Object.keys(auth.localStorage).length} localStorage item(s)`);
+  }
+  return parts.join(', ') || 'none';
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStringMap(value) {
+  return (
+    isPlainObject(value) &&
+    Object.values(value).every((entry) => typeof entry === 'string')
+  );
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// A leading dot also admits subdomains; otherwise the host must be the same
+function matchesCookieDomain(hostname, domain) {
+  const host = hostname.toLowerCase();
+  const cookieDomain = domain.toLowerCase();
+  if (!cookieDomain.startsWith('.')) return host === cookieDomain;
+  return host === cookieDomain.slice(1) || host.endsWith(cookieDomain);
+}
+
+function matchesCookiePath(pathname, path) {
+  return (
+    pathname === path ||
+    (pathname.startsWith(path) &&
+      (path.endsWith('/') || pathname[path.length] === '/'))
+  );
+}
+
+function isSameOrigin(url, otherUrl) {
+  try {
+    return new URL(url).origin === new URL(otherUrl).origin;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  validateAuth,
+  resolveCookies,
+  getAuthHeaders,
+  getCookieHeader,
+  describeAuth,
+};
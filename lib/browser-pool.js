@@ -0,0 +1,361 @@
+const { chromium: playwright } = require('playwright-core');
+const { BROWSER_POOL_CONFIG } = require('./constants');
+const { TimeoutError, RenderingError } = require('./errors');
+
+const LAUNCH_OPTIONS = {
+  headless: true,
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-gpu',
+    '--disable-background-timer-throttling',
+    '--disable-backgrounding-occluded-windows',
+    '--disable-renderer-backgrounding',
+    '--disable-features=TranslateUI',
+    '--disable-ipc-flooding-protection',
+  ],
+};
+
+/**
+ * Launch a headless Chromium with the extraction flags
+ * @returns {Promise<Browser>}
+ */
+function launchBrowser() {
+  return playwright.launch(LAUNCH_OPTIONS);
+}
+
+/**
+ * Long-lived browsers shared by every extraction
+ * Callers lease a browser for one page (context) at a time. At most
+ * `maxConcurrentPages` leases are out at once; later callers queue for up to
+ * `acquireTimeout` ms. Up to `size` browsers are launched on demand and each
+ * is recycled after serving `maxPagesPerBrowser` pages. A browser that crashes
+ * or fails a health check is replaced.
+ */
+class BrowserPool {
+  constructor(options = {}) {
+    this.size = options.size || BROWSER_POOL_CONFIG.SIZE;
+    this.maxPagesPerBrowser =
+      options.maxPagesPerBrowser || BROWSER_POOL_CONFIG.MAX_PAGES_PER_BROWSER;
+    this.maxConcurrentPages =
+      options.maxConcurrentPages || BROWSER_POOL_CONFIG.MAX_CONCURRENT_PAGES;
+    this.acquireTimeout =
+      options.acquireTimeout || BROWSER_POOL_CONFIG.ACQUIRE_TIMEOUT;
+    this.healthCheckInterval =
+      options.healthCheckInterval ?? BROWSER_POOL_CONFIG.HEALTH_CHECK_INTERVAL;
+    this.healthCheckTimeout =
+      options.healthCheckTimeout || BROWSER_POOL_CONFIG.HEALTH_CHECK_TIMEOUT;
+    this.launch = options.launch || launchBrowser;
+
+    this.entries = []; // { id, browser, ready, pagesServed, activePages, retiring }
+    this.waiting = []; // { resolve, reject, timer } queued for a page slot
+    this.activePages = 0;
+    this.nextId = 1;
+    this.closed = false;
+    this.healthTimer = null;
+    this.counters = { launched: 0, recycled: 0, crashed: 0, unhealthy: 0 };
+  }
+
+  /**
+   * Lease a browser for one page
+   * @returns {Promise<Object>} - { browser, release }; call release() once the
+   *   page's context is closed
+   */
+  async acquire() {
+    if (this.closed) {
+      throw new RenderingError('Browser pool is closed');
+    }
+
+    await this.waitForSlot();
+
+    let entry;
+    try {
+      entry = this.pickEntry();
+      entry.activePages++;
+      await entry.ready;
+    } catch (error) {
+      if (entry) entry.activePages--;
+      this.freeSlot();
+      throw error;
+    }
+
+    entry.pagesServed++;
+    if (entry.pagesServed >= this.maxPagesPerBrowser) {
+      // Serve no new pages; closed once the pages in flight are done
+      entry.retiring = true;
+    }
+    this.startHealthChecks();
+
+    let released = false;
+    return {
+      browser: entry.browser,
+      release: () => {
+        if (released) return;
+        released = true;
+        this.release(entry);
+      },
+    };
+  }
+
+  /**
+   * Take a page slot, queueing while all of them are in use
+   */
+  waitForSlot() {
+    if (this.activePages < this.maxConcurrentPages) {
+      this.activePages++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiting.splice(this.waiting.indexOf(waiter), 1);
+        reject(
+          new TimeoutError(
+            `Timed out after ${this.acquireTimeout}ms waiting for a browser (${this.maxConcurrentPages} pages in use)`
+          )
+        );
+      }, this.acquireTimeout);
+      this.waiting.push(waiter);
+    });
+  }
+
+  /**
+   * Give a page slot back, handing it straight to the next queued caller
+   */
+  freeSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve();
+    } else {
+      this.activePages--;
+    }
+  }
+
+  /**
+   * Least busy browser that still takes pages, launching another while the
+   * pool is below its size and every browser is busy
+   */
+  pickEntry() {
+    const available = this.entries
+      .filter((entry) => !entry.retiring)
+      .sort((a, b) => a.activePages - b.activePages);
+    const leastBusy = available[0];
+
+    if (
+      !leastBusy ||
+      (leastBusy.activePages > 0 && available.length < this.size)
+    ) {
+      return this.launchEntry();
+    }
+    return leastBusy;
+  }
+
+  /**
+   * Start a browser and add it to the pool
+   * A failed launch removes the entry again and rejects its `ready` promise
+   */
+  launchEntry() {
+    const entry = {
+      id: this.nextId++,
+      browser: null,
+      pagesServed: 0,
+      activePages: 0,
+      retiring: false,
+    };
+
+    entry.ready = this.launch().then(
+      (browser) => {
+        entry.browser = browser;
+        this.counters.launched++;
+        console.log(
+          `Launched pooled browser #${entry.id} (${this.entries.length}/${this.size})`
+        );
+
+        browser.on('disconnected', () => {
+          if (!this.entries.includes(entry)) return;
+          this.counters.crashed++;
+          console.warn(`Pooled browser #${entry.id} disconnected`);
+          this.replaceEntry(entry);
+        });
+
+        if (this.closed) {
+          this.removeEntry(entry);
+          throw new RenderingError('Browser pool is closed');
+        }
+      },
+      (error) => {
+        const index = this.entries.indexOf(entry);
+        if (index !== -1) this.entries.splice(index, 1);
+        throw new RenderingError('Failed to launch browser', error);
+      }
+    );
+
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Return a lease; a retiring browser is closed after its last page
+   */
+  release(entry) {
+    entry.activePages--;
+    this.freeSlot();
+
+    if (entry.retiring && entry.activePages === 0) {
+      this.counters.recycled++;
+      console.log(
+        `Recycling pooled browser #${entry.id} after ${entry.pagesServed} pages`
+      );
+      this.removeEntry(entry);
+    }
+  }
+
+  /**
+   * Drop a broken browser and start a replacement right away
+   */
+  replaceEntry(entry) {
+    this.removeEntry(entry);
+    if (this.closed) return;
+
+    console.log(`Relaunching a browser to replace #${entry.id}`);
+    this.launchEntry().ready.catch((error) => {
+      console.error(
+        'Failed to relaunch pooled browser:',
+        error.cause?.message || error.message
+      );
+    });
+  }
+
+  /**
+   * Remove a browser from the pool and close it
+   */
+  removeEntry(entry) {
+    const index = this.entries.indexOf(entry);
+    if (index !== -1) this.entries.splice(index, 1);
+
+    entry.browser?.close().catch((error) => {
+      console.warn(
+        `Failed to close pooled browser #${entry.id}:`,
+        error.message
+      );
+    });
+  }
+
+  /**
+   * Check idle browsers periodically (the timer does not keep the process alive)
+   */
+  startHealthChecks() {
+    if (this.healthTimer || !this.healthCheckInterval) return;
+
+    this.healthTimer = setInterval(() => {
+      this.checkHealth().catch((error) => {
+        console.error('Browser pool health check failed:', error.message);
+      });
+    }, this.healthCheckInterval);
+    this.healthTimer.unref();
+  }
+
+  /**
+   * Probe every idle browser by opening and closing a context; browsers that
+   * are disconnected or do not answer in time are replaced
+   * @returns {Promise<number>} - Number of browsers replaced
+   */
+  async checkHealth() {
+    const idle = this.entries.filter(
+      (entry) => entry.browser && !entry.retiring && entry.activePages === 0
+    );
+
+    const results = await Promise.all(
+      idle.map(async (entry) => {
+        if (await this.isHealthy(entry.browser)) return false;
+        // Leased while the probe ran, or already replaced after a crash
+        if (!this.entries.includes(entry) || entry.activePages > 0) {
+          return false;
+        }
+
+        this.counters.unhealthy++;
+        console.warn(`Pooled browser #${entry.id} failed its health check`);
+        this.replaceEntry(entry);
+        return true;
+      })
+    );
+
+    return results.filter(Boolean).length;
+  }
+
+  async isHealthy(browser) {
+    if (!browser.isConnected()) return false;
+
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), this.healthCheckTimeout);
+    });
+    const probe = browser.newContext().then(
+      async (context) => {
+        await context.close();
+        return true;
+      },
+      () => false
+    );
+
+    try {
+      return await Promise.race([probe, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Pool state for the health endpoint
+   */
+  getStats() {
+    return {
+      size: this.size,
+      browsers: this.entries.map((entry) => ({
+        id: entry.id,
+        connected: entry.browser ? entry.browser.isConnected() : false,
+        activePages: entry.activePages,
+        pagesServed: entry.pagesServed,
+        retiring: entry.retiring,
+      })),
+      activePages: this.activePages,
+      maxConcurrentPages: this.maxConcurrentPages,
+      queued: this.waiting.length,
+      ...this.counters,
+    };
+  }
+
+  /**
+   * Close every browser and reject queued callers
+   */
+  async close() {
+    this.closed = true;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+
+    for (const waiter of this.waiting.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new RenderingError('Browser pool is closed'));
+    }
+
+    const entries = this.entries.splice(0);
+    await Promise.all(
+      entries.map(async (entry) => {
+        try {
+          await entry.ready;
+          await entry.browser.close();
+        } catch {
+          // Launch failed or the browser is already gone
+        }
+      })
+    );
+  }
+}
+
+module.exports = { BrowserPool, launchBrowser };
@@ -1,5 +1,5 @@
 /**
- * Viewport configurations for mobile and desktop extraction
+ * Named viewport presets accepted by the `viewport` request field
  */
 const VIEWPORTS = {
   mobile: {
@@ -9,6 +9,20 @@ const VIEWPORTS = {
     isMobile: true,
     hasTouch: true,
   },
+  tablet: {
+    width: 768,
+    height: 1024,
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+  },
+  laptop: {
+    width: 1280,
+    height: 800,
+    deviceScaleFactor: 2,
+    isMobile: false,
+    hasTouch: false,
+  },
   desktop: {
     width: 1366,
     height: 768,
@@ -16,6 +30,43 @@ const VIEWPORTS = {
     isMobile: false,
     hasTouch: false,
   },
+  'large-desktop': {
+    width: 1920,
+    height: 1080,
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+  },
+};
+
+/**
+ * Limits for custom viewport definitions
+ */
+const VIEWPORT_LIMITS = {
+  MIN_SIZE: 200, // px, width and height
+  MAX_SIZE: 3840,
+  MAX_DEVICE_SCALE_FACTOR: 4,
+  MAX_VIEWPORTS: 8, // Viewports per request
+};
+
+/**
+ * Limits for scripted interactions run before the above-fold scan
+ */
+const ACTION_LIMITS = {
+  MAX_ACTIONS: 20, // Actions per request
+  MAX_WAIT: 10000, // ms, for `wait` actions
+  DEFAULT_TIMEOUT: 5000, // ms, for actions that target a selector
+  MAX_TIMEOUT: 30000,
+};
+
+/**
+ * Limits for the wait strategies that decide when a page is ready
+ */
+const WAIT_LIMITS = {
+  MAX_STRATEGIES: 5, // Strategies raced per request
+  DEFAULT_TIMEOUT: 15000, // ms, per strategy
+  MAX_TIMEOUT: 60000,
+  MAX_DELAY: 30000, // ms, for `delay` strategies
 };
 
 /**
@@ -33,6 +84,63 @@ const PERFORMANCE_CONFIG = {
   ABOVE_FOLD_BUFFER: 100, // 100px buffer below viewport
   DEFAULT_TIMEOUT: 30000, // 30 seconds maximum execution time
   MAX_CONCURRENT_EXTRACTIONS: 3,
+  MAX_BATCH_SIZE: 500, // Maximum URLs per batch request
+  MAX_QUEUED_JOBS: 100, // Extractions waiting for a slot before new ones are refused
+};
+
+/**
+ * Shared browser pool configuration (lib/browser-pool.js)
+ */
+const BROWSER_POOL_CONFIG = {
+  SIZE: 2, // Browsers kept running
+  MAX_PAGES_PER_BROWSER: 100, // Pages served before a browser is recycled
+  MAX_CONCURRENT_PAGES: 6, // Pages open at once across the pool
+  ACQUIRE_TIMEOUT: 60000, // Longest wait for a free page slot
+  HEALTH_CHECK_INTERVAL: 30000,
+  HEALTH_CHECK_TIMEOUT: 5000,
+};
+
+/**
+ * Phases of a single extraction, in order, as reported to progress listeners
+ */
+const EXTRACTION_PHASES = {
+  NAVIGATION: 'navigation',
+  LCP: 'lcp-stabilization',
+  SETTLE: 'content-settle',
+  WAIT: 'wait', // Replaces lcp-stabilization and content-settle with waitFor
+  CSS_FETCH: 'css-fetch',
+  PARSE: 'parse',
+  ACTIONS: 'actions', // Only when the request has actions
+  ABOVE_FOLD: 'above-fold-scan',
+  FILTER: 'filter',
+  FONTS: 'fonts',
+  MINIFY: 'minify',
+  DISCOVERY: 'discovery', // Crawl requests only, before any extraction
+};
+
+/**
+ * Page discovery configuration for sitemap and crawl extraction
+ */
+const CRAWL_CONFIG = {
+  DEFAULT_MAX_DEPTH: 2, // Link hops from the start URL
+  MAX_DEPTH: 5,
+  DEFAULT_MAX_PAGES: 50,
+  MAX_SITEMAP_INDEX_DEPTH: 2, // Nested sitemap indexes to follow
+  FINGERPRINT_DEPTH: 4, // DOM levels below <body> compared between pages
+  SIMILARITY_THRESHOLD: 0.8, // Jaccard similarity to share a template
+};
+
+/**
+ * Webhook delivery configuration for job callbacks
+ */
+const WEBHOOK_CONFIG = {
+  MAX_ATTEMPTS: 5,
+  INITIAL_RETRY_DELAY: 1000, // Doubles after each failed attempt
+  MAX_RETRY_DELAY: 60000,
+  TIMEOUT: 10000, // Per attempt
+  SIGNATURE_HEADER: 'X-Signature-256',
+  TIMESTAMP_HEADER: 'X-Webhook-Timestamp',
+  DELIVERY_HEADER: 'X-Webhook-Delivery',
 };
 
 /**
@@ -124,6 +232,8 @@ const CSS_CONSTANTS = {
     'border-radius',
     'opacity',
     'visibility',
+    'box-shadow',
+    'text-shadow',
 
     // Other important properties
     'overflow',
@@ -134,6 +244,80 @@ const CSS_CONSTANTS = {
     'aspect-ratio',
     'object-fit',
     'object-position',
+
+    // Generated content (::before/::after icons, clearfixes)
+    'content',
+  ],
+
+  // Properties that decide box geometry and text flow ("layout-only" policy)
+  // Entries ending in * match any property with that prefix
+  LAYOUT_PROPERTIES: [
+    'display',
+    'position',
+    'top',
+    'left',
+    'right',
+    'bottom',
+    'inset',
+    'inset-*',
+    'z-index',
+    'float',
+    'clear',
+    'box-sizing',
+    'width',
+    'height',
+    'min-width',
+    'min-height',
+    'max-width',
+    'max-height',
+    'inline-size',
+    'block-size',
+    'min-inline-size',
+    'min-block-size',
+    'max-inline-size',
+    'max-block-size',
+    'aspect-ratio',
+    'margin',
+    'margin-*',
+    'padding',
+    'padding-*',
+    'border-width',
+    'border-top-width',
+    'border-right-width',
+    'border-bottom-width',
+    'border-left-width',
+    'flex',
+    'flex-*',
+    'order',
+    'grid',
+    'grid-*',
+    'gap',
+    'row-gap',
+    'column-gap',
+    'justify-*',
+    'align-*',
+    'place-*',
+    'overflow',
+    'overflow-*',
+    'vertical-align',
+    'visibility',
+    'contain',
+    'content-visibility',
+    'object-fit',
+    'object-position',
+    'table-layout',
+    'columns',
+    'column-count',
+    'column-width',
+    'font-family',
+    'font-size',
+    'font-weight',
+    'line-height',
+    'white-space',
+    'word-break',
+    'overflow-wrap',
+    'text-overflow',
+    'content',
   ],
 
   EXCLUDED_SELECTORS: [
@@ -147,11 +331,27 @@ const CSS_CONSTANTS = {
   ],
 
   EXCLUDED_MEDIA_QUERIES: ['print', 'speech', 'prefers-reduced-motion'],
+
+  // At-rules whose blocks hold style rules under a condition or cascade layer
+  GROUPING_AT_RULES: ['media', 'supports', 'layer', 'container', 'scope'],
+
+  // How many levels of @import are followed below a page stylesheet
+  MAX_IMPORT_DEPTH: 5,
+
+  // Redirects followed when fetching a stylesheet or sitemap over HTTP
+  MAX_REDIRECTS: 5,
 };
 
 module.exports = {
   VIEWPORTS,
+  VIEWPORT_LIMITS,
+  ACTION_LIMITS,
+  WAIT_LIMITS,
   PERFORMANCE_CONFIG,
+  BROWSER_POOL_CONFIG,
+  EXTRACTION_PHASES,
+  CRAWL_CONFIG,
+  WEBHOOK_CONFIG,
   USER_AGENTS,
   CSS_CONSTANTS,
 };
@@ -0,0 +1,535 @@
+const { parse, walk, generate } = require('css-tree');
+const { CSSParser } = require('./css-parser');
+const { LonghandSet } = require('./css-properties');
+
+/**
+ * Minification passes, in the order they run
+ * zeroUnits - `0px` -> `0` for lengths
+ * colors - shortest form of hex, rgb() and named colors
+ * mergedSelectors - rules repeating a selector folded into the first one
+ * shorthands - longhands merged into shorthands, shorthand values collapsed
+ * mergedMedia - rules moved next to an earlier block with the same at-rules
+ */
+const MINIFY_PASSES = [
+  'zeroUnits',
+  'colors',
+  'mergedSelectors',
+  'shorthands',
+  'mergedMedia',
+];
+
+// Units of <length>; other units (s, deg, %, fr) change meaning without them
+const LENGTH_UNITS = new Set([
+  'px', 'em', 'rem', 'ex', 'ch', 'vw', 'vh', 'vmin', 'vmax', 'svw', 'svh',
+  'lvw', 'lvh', 'dvw', 'dvh', 'cm', 'mm', 'q', 'in', 'pt', 'pc',
+]);
+
+// Properties where a unitless 0 reads differently: `flex: 1 0px` would become
+// `flex: 1 0` (0 as flex-shrink), and a line-height of 0 is a factor rather
+// than a length
+const KEEP_ZERO_UNIT_PROPERTIES = new Set([
+  'flex',
+  'flex-basis',
+  'line-height',
+  'font',
+]);
+
+const CSS_WIDE_KEYWORDS = new Set([
+  'inherit',
+  'initial',
+  'unset',
+  'revert',
+  'revert-layer',
+]);
+
+// Named colors with a shorter hex form, and the reverse
+const NAMED_TO_HEX = {
+  white: '#fff',
+  black: '#000',
+  yellow: '#ff0',
+  fuchsia: '#f0f',
+  magenta: '#f0f',
+};
+const HEX_TO_NAMED = {
+  f00: 'red',
+  ff0000: 'red',
+  d2b48c: 'tan',
+  '000080': 'navy',
+  '808080': 'gray',
+  '008000': 'green',
+  '800000': 'maroon',
+  '808000': 'olive',
+  '800080': 'purple',
+  c0c0c0: 'silver',
+  '008080': 'teal',
+  ffa500: 'orange',
+};
+
+// Properties whose identifiers may be color keywords
+const COLOR_PROPERTY_PATTERN =
+  /(?:^|-)color$|^(?:background|outline|fill|stroke|box-shadow|text-shadow|column-rule|text-decoration|border(?:-top|-right|-bottom|-left|-block|-inline)?)$/;
+
+/**
+ * Shorthands that longhands are merged into
+ * Rules declaring another property that sets the same longhands (`border`,
+ * `grid-gap`, `margin-inline`) are left alone, since merging would change
+ * which one wins.
+ */
+const SHORTHANDS = {
+  margin: {
+    longhands: ['margin-top', 'margin-right', 'margin-bottom', 'margin-left'],
+  },
+  padding: {
+    longhands: [
+      'padding-top',
+      'padding-right',
+      'padding-bottom',
+      'padding-left',
+    ],
+  },
+  'border-width': {
+    longhands: [
+      'border-top-width',
+      'border-right-width',
+      'border-bottom-width',
+      'border-left-width',
+    ],
+  },
+  'border-style': {
+    longhands: [
+      'border-top-style',
+      'border-right-style',
+      'border-bottom-style',
+      'border-left-style',
+    ],
+  },
+  'border-color': {
+    longhands: [
+      'border-top-color',
+      'border-right-color',
+      'border-bottom-color',
+      'border-left-color',
+    ],
+  },
+  'border-radius': {
+    longhands: [
+      'border-top-left-radius',
+      'border-top-right-radius',
+      'border-bottom-right-radius',
+      'border-bottom-left-radius',
+    ],
+  },
+  gap: {
+    longhands: ['row-gap', 'column-gap'],
+  },
+};
+
+/**
+ * Structural CSS minifier working on the parsed rule model
+ * Rules are optimised pass by pass and serialized without whitespace; every
+ * pass reports how many bytes it saved.
+ */
+class CSSMinifier {
+  constructor(options = {}) {
+    this.parser = options.parser || new CSSParser();
+  }
+
+  /**
+   * Minify rules into compact CSS
+   * @param {Object[]} rules - Rules in cascade order (CSSParser rule model)
+   * @returns {Object} - { css, rules, originalSize, size, savings }, where
+   *   savings maps `whitespace` and each MINIFY_PASSES entry to bytes saved
+   */
+  minify(rules) {
+    const originalSize = this.parser.generateCSS(rules).length;
+    let css = this.parser.generateCSS(rules, { compact: true });
+    const savings = { whitespace: originalSize - css.length };
+
+    let optimizedRules = rules;
+    for (const pass of MINIFY_PASSES) {
+      optimizedRules = this[pass](optimizedRules);
+      const passCSS = this.parser.generateCSS(optimizedRules, {
+        compact: true,
+      });
+      savings[pass] = css.length - passCSS.length;
+      css = passCSS;
+    }
+
+    return {
+      css,
+      rules: optimizedRules,
+      originalSize,
+      size: css.length,
+      savings,
+    };
+  }
+
+  /**
+   * Drop the unit of zero lengths outside functions (`calc(0px + 1em)`
+   * needs it) and outside KEEP_ZERO_UNIT_PROPERTIES
+   */
+  zeroUnits(rules) {
+    return this.mapValues(rules, (declaration, ast) => {
+      const property = declaration.property.toLowerCase();
+      if (KEEP_ZERO_UNIT_PROPERTIES.has(property.replace(/^-[a-z]+-/, ''))) {
+        return false;
+      }
+
+      let changed = false;
+      walk(ast, {
+        enter(node, item, list) {
+          if (node.type === 'Function') return walk.skip;
+          if (
+            node.type === 'Dimension' &&
+            LENGTH_UNITS.has(node.unit.toLowerCase()) &&
+            parseFloat(node.value) === 0 &&
+            list
+          ) {
+            list.replace(item, list.createItem({ type: 'Number', value: '0' }));
+            changed = true;
+          }
+        },
+      });
+      return changed;
+    });
+  }
+
+  /**
+   * Shorten colors: #AABBCC -> #abc, rgb(255,0,0) -> red, white -> #fff
+   */
+  colors(rules) {
+    return this.mapValues(rules, (declaration, ast) => {
+      const namedColors = COLOR_PROPERTY_PATTERN.test(declaration.property);
+      let changed = false;
+
+      walk(ast, {
+        enter(node, item, list) {
+          if (!list) return;
+
+          let hex = null;
+          if (node.type === 'Hash' && /^[\da-f]{3,8}$/i.test(node.value)) {
+            hex = node.value.toLowerCase();
+          } else if (
+            node.type === 'Function' &&
+            /^rgba?$/i.test(node.name)
+          ) {
+            hex = rgbToHex(node);
+          } else if (
+            node.type === 'Identifier' &&
+            namedColors &&
+            Object.hasOwn(NAMED_TO_HEX, node.name.toLowerCase())
+          ) {
+            hex = NAMED_TO_HEX[node.name.toLowerCase()].slice(1);
+          }
+          if (hex === null) return;
+
+          const shortest = shortestColor(hex);
+          if (shortest !== generate(node)) {
+            const color = parseValue(shortest).children.first;
+            list.replace(item, list.createItem(color));
+            changed = true;
+          }
+          return walk.skip;
+        },
+      });
+      return changed;
+    });
+  }
+
+  /**
+   * Fold a rule into an earlier rule with the same selector and at-rules,
+   * as long as no rule between them sets any of the same longhands
+   */
+  mergedSelectors(rules) {
+    const merged = [];
+
+    for (const rule of rules) {
+      const target = isStyleRule(rule)
+        ? this.findMergeTarget(
+            merged,
+            rule,
+            (other) =>
+              isStyleRule(other) &&
+              other.selector === rule.selector &&
+              this.parser.getAtRuleKey(other) === this.parser.getAtRuleKey(rule)
+          )
+        : -1;
+
+      if (target === -1) {
+        merged.push(rule);
+      } else {
+        merged[target] = {
+          ...merged[target],
+          declarations: mergeDeclarations(
+            merged[target].declarations,
+            rule.declarations
+          ),
+        };
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Merge complete sets of longhands into their shorthand and collapse
+   * repeated box values (`margin: 0 0 0 0` -> `margin: 0`)
+   */
+  shorthands(rules) {
+    return rules.map((rule) => {
+      if (!isStyleRule(rule)) return rule;
+
+      let declarations = rule.declarations.map((declaration) =>
+        SHORTHANDS[declaration.property] && isBoxShorthand(declaration.property)
+          ? { ...declaration, value: collapseBoxValue(declaration.value) }
+          : declaration
+      );
+
+      for (const [shorthand, { longhands }] of Object.entries(SHORTHANDS)) {
+        declarations = mergeLonghands(declarations, shorthand, longhands);
+      }
+
+      return { ...rule, declarations };
+    });
+  }
+
+  /**
+   * Move a rule under at-rules next to the previous block with the same
+   * at-rules, so both share one block, as long as no rule it moves across
+   * sets any of the same longhands
+   */
+  mergedMedia(rules) {
+    const merged = [];
+
+    for (const rule of rules) {
+      const atKey = this.parser.getAtRuleKey(rule);
+      const target =
+        isStyleRule(rule) && atKey
+          ? this.findMergeTarget(
+              merged,
+              rule,
+              (other) => this.parser.getAtRuleKey(other) === atKey
+            )
+          : -1;
+
+      if (target === -1 || target === merged.length - 1) {
+        merged.push(rule);
+      } else {
+        merged.splice(target + 1, 0, rule);
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Index of the latest earlier rule accepted by `isTarget` that the rule can
+   * be moved to without crossing a conflicting rule, or -1
+   */
+  findMergeTarget(previous, rule, isTarget) {
+    const longhands = new LonghandSet(
+      rule.declarations.map((declaration) => declaration.property)
+    );
+
+    for (let i = previous.length - 1; i >= 0; i--) {
+      if (isTarget(previous[i])) return i;
+
+      const conflicts = previous[i].declarations.some((declaration) =>
+        longhands.overlaps(declaration.property)
+      );
+      if (conflicts) return -1;
+    }
+    return -1;
+  }
+
+  /**
+   * Rewrite declaration values through their css-tree AST
+   * `transform(declaration, ast)` mutates the AST and returns true on change
+   */
+  mapValues(rules, transform) {
+    return rules.map((rule) => {
+      if (rule.declarations.length === 0) return rule;
+
+      const declarations = rule.declarations.map((declaration) => {
+        if (declaration.property.startsWith('--')) return declaration;
+
+        let ast;
+        try {
+          ast = parseValue(declaration.value);
+        } catch {
+          return declaration;
+        }
+        return transform(declaration, ast)
+          ? { ...declaration, value: generate(ast) }
+          : declaration;
+      });
+
+      return { ...rule, declarations };
+    });
+  }
+}
+
+function parseValue(value) {
+  return parse(value, { context: 'value' });
+}
+
+/**
+ * Style rules, as opposed to @font-face, @keyframes and @layer statements
+ */
+function isStyleRule(rule) {
+  return !rule.selector.startsWith('@');
+}
+
+function isBoxShorthand(property) {
+  return SHORTHANDS[property].longhands.length === 4;
+}
+
+/**
+ * Hex digits of an rgb()/rgba() with integer channels and no transparency
+ */
+function rgbToHex(node) {
+  const args = node.children
+    .toArray()
+    .filter((child) => child.type !== 'Operator');
+  const channels = args.slice(0, 3);
+  const alpha = args[3];
+
+  if (
+    args.length < 3 ||
+    args.length > 4 ||
+    !channels.every(
+      (channel) =>
+        channel.type === 'Number' &&
+        /^\d+$/.test(channel.value) &&
+        Number(channel.value) <= 255
+    ) ||
+    (alpha &&
+      !(
+        (alpha.type === 'Number' && Number(alpha.value) === 1) ||
+        (alpha.type === 'Percentage' && Number(alpha.value) === 100)
+      ))
+  ) {
+    return null;
+  }
+
+  return channels
+    .map((channel) => Number(channel.value).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Shortest spelling of a color given as lowercase hex digits
+ */
+function shortestColor(hex) {
+  let short = hex;
+  // #aabbcc -> #abc, #aabbccdd -> #abcd
+  if ((hex.length === 6 || hex.length === 8) && /^(?:(.)\1)+$/.test(hex)) {
+    short = hex.replace(/(.)\1/g, '$1');
+  }
+  // Fully opaque alpha can go
+  if (short.length === 8 && short.endsWith('ff')) short = short.slice(0, 6);
+  if (short.length === 4 && short.endsWith('f')) short = short.slice(0, 3);
+
+  return HEX_TO_NAMED[short] || `#${short}`;
+}
+
+/**
+ * Collapse a 4-value box shorthand to its shortest equivalent
+ */
+function collapseBoxValue(value) {
+  // var() may stand for several values
+  if (/var\(/i.test(value)) return value;
+
+  let parts;
+  try {
+    parts = parseValue(value).children.toArray().map((node) => generate(node));
+  } catch {
+    return value;
+  }
+  if (parts.length < 2 || parts.length > 4 || parts.includes('/')) {
+    return value;
+  }
+
+  const [top, right = top, bottom = top, left = right] = parts;
+  return joinBoxValues([top, right, bottom, left]);
+}
+
+function joinBoxValues([top, right, bottom, left]) {
+  if (left !== right) return [top, right, bottom, left].join(' ');
+  if (bottom !== top) return [top, right, bottom].join(' ');
+  if (right !== top) return [top, right].join(' ');
+  return top;
+}
+
+/**
+ * Replace a complete, single-valued set of longhands with their shorthand,
+ * at the position of the first longhand
+ */
+function mergeLonghands(declarations, shorthand, longhands) {
+  const matches = longhands.map((property) =>
+    declarations.filter((declaration) => declaration.property === property)
+  );
+  const shorthandLonghands = new LonghandSet([shorthand]);
+  const isMergeable =
+    matches.every((found) => found.length === 1) &&
+    !declarations.some(
+      (declaration) =>
+        !longhands.includes(declaration.property) &&
+        shorthandLonghands.overlaps(declaration.property)
+    ) &&
+    new Set(matches.map(([declaration]) => declaration.important)).size === 1 &&
+    matches.every(([declaration]) => isSingleComponent(declaration.value));
+  if (!isMergeable) return declarations;
+
+  const values = matches.map(([declaration]) => declaration.value);
+  const value =
+    longhands.length === 4
+      ? joinBoxValues(values)
+      : values[0] === values[1]
+        ? values[0]
+        : values.join(' ');
+
+  const longhandSet = new Set(matches.map(([declaration]) => declaration));
+  const first = declarations.findIndex((declaration) =>
+    longhandSet.has(declaration)
+  );
+  const result = declarations.filter(
+    (declaration) => !longhandSet.has(declaration)
+  );
+  result.splice(first, 0, {
+    property: shorthand,
+    value,
+    important: matches[0][0].important,
+  });
+  return result;
+}
+
+/**
+ * A value made of one component that can share a shorthand with others:
+ * no var(), which could expand to several, and no CSS-wide keyword
+ */
+function isSingleComponent(value) {
+  if (/var\(/i.test(value) || CSS_WIDE_KEYWORDS.has(value.toLowerCase())) {
+    return false;
+  }
+  try {
+    return parseValue(value).children.size === 1;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Append declarations, dropping earlier exact duplicates
+ * (fallbacks like `display: -webkit-box; display: flex` are kept)
+ */
+function mergeDeclarations(first, second) {
+  const all = [...first, ...second];
+  const keys = all.map(
+    (declaration) =>
+      `${declaration.property}:${declaration.value}:${declaration.important}`
+  );
+  return all.filter((_, index) => keys.lastIndexOf(keys[index]) === index);
+}
+
+module.exports = { CSSMinifier, MINIFY_PASSES };
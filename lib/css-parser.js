@@ -1,5 +1,76 @@
-const { parse } = require('css-tree');
+const { parse, walk, generate } = require('css-tree');
 const { CSS_CONSTANTS } = require('./constants');
+const { LonghandSet } = require('./css-properties');
+const {
+  resolvePropertyPolicy,
+  isPropertyAllowed,
+  hasPropertyOverride,
+} = require('./property-policy');
+
+/**
+ * How rules are matched against above-fold elements:
+ * browser - element.matches() on the actual above-fold nodes
+ * token - any class, id or tag of the selector seen above the fold
+ */
+const SELECTOR_MATCHING_MODES = ['browser', 'token'];
+
+// Selectors that tokens cannot judge: generated content, which only renders
+// with a computed `content`, and structural or logical pseudo-classes
+const BROWSER_CHECKED_SELECTOR =
+  /::?(?:before|after)(?![\w-])|:(?:first-child|last-child|only-child|first-of-type|last-of-type|only-of-type|nth-child|nth-last-child|nth-of-type|nth-last-of-type|empty|not|is|where|has)(?![\w-])/i;
+
+/**
+ * How custom properties (CSS variables) are emitted:
+ * referenced - definitions that critical declarations use, transitively
+ * inline - var() references with a single known value are replaced by it
+ */
+const CUSTOM_PROPERTY_MODES = ['referenced', 'inline'];
+
+/**
+ * How relative url() references are rewritten for the extracted CSS:
+ * absolute - resolved against the stylesheet they came from
+ * root-relative - same-origin URLs as `${urlBasePath}/path`, others absolute
+ * none - left as written
+ */
+const URL_REWRITE_MODES = ['absolute', 'root-relative', 'none'];
+
+/**
+ * CSS text of a stylesheet source, wrapped in its media, supports and layer
+ * conditions (from the element's media attribute and the @import chain)
+ * @param {Object} source - { css, conditions: [{ name, prelude }] }
+ * @returns {string}
+ */
+function getSourceCSS(source) {
+  return (source.conditions || []).reduceRight(
+    (css, { name, prelude }) =>
+      `@${name}${prelude ? ` ${prelude}` : ''} {\n${css}\n}`,
+    source.css
+  );
+}
+
+/**
+ * Rewrite one url() value; data URIs and fragment references are left alone
+ * absolute - resolved against the stylesheet URL
+ * root-relative - same-origin URLs become basePath + path, others absolute
+ */
+function rewriteAssetUrl(value, baseUrl, { mode, pageOrigin, basePath }) {
+  if (!value || value.startsWith('#') || /^(?:data|blob|about):/i.test(value)) {
+    return value;
+  }
+
+  let resolved;
+  try {
+    resolved = new URL(value, baseUrl);
+  } catch {
+    return value;
+  }
+
+  if (mode === 'root-relative' && resolved.origin === pageOrigin) {
+    return `${basePath.replace(/\/+$/, '')}${resolved.pathname}${resolved.search}${resolved.hash}`;
+  }
+  // Leave URLs that are already absolute exactly as written
+  return /^[a-z][a-z\d+.-]*:/i.test(value) ? value : resolved.href;
+}
 
 class CSSParser {
   constructor(options = {}) {
@@ -8,6 +79,7 @@ class CSSParser {
       includeAnimations: options.includeAnimations ?? false,
       includeTransitions: options.includeTransitions ?? false,
       includeHoverStates: options.includeHoverStates ?? false,
+      propertyPolicy: resolvePropertyPolicy(options.propertyPolicy),
     };
   }
 
@@ -24,336 +96,439 @@ class CSSParser {
         return [];
       }
 
-      const ast = parse(css, {
-        parseAtrulePrelude: true,
-        parseRulePrelude: true,
-        parseValue: true,
+      return this.extractRules(this.parseAST(css));
+    } catch (error) {
+      console.error('CSS parsing error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Parse stylesheet sources into rules tagged with the sheet they came from
+   * @param {Object[]} sources - [{ type, url, conditions, css, index }] in cascade order
+   * @returns {Object[]} - Rules in cascade order, each with
+   *   `origin: { type, url, index }`
+   */
+  parseSources(sources) {
+    return sources.flatMap((source) =>
+      this.parseCSS(getSourceCSS(source)).map((rule) => ({
+        ...rule,
+        origin: { type: source.type, url: source.url, index: source.index },
+      }))
+    );
+  }
+
+  /**
+   * Rewrite the relative url() references of a stylesheet so they keep
+   * pointing at the same files once its CSS is inlined into the page or served
+   * from another location
+   * @param {string} css - Stylesheet text
+   * @param {string} baseUrl - URL the stylesheet's references resolve against
+   * @param {Object} options - { mode: URL_REWRITE_MODES, pageUrl, basePath }
+   * @returns {string} - Stylesheet text with url() values rewritten
+   */
+  rewriteUrls(css, baseUrl, options = {}) {
+    const { mode = 'absolute', pageUrl = baseUrl, basePath = '/' } = options;
+    if (mode === 'none' || !css || !baseUrl || !/url\(/i.test(css)) {
+      return css;
+    }
+
+    let ast;
+    try {
+      ast = parse(css, {
+        positions: true,
+        parseRulePrelude: false,
         parseCustomProperty: true,
       });
+    } catch (error) {
+      console.warn(`Failed to parse ${baseUrl} for url() rewriting:`, error.message);
+      return css;
+    }
 
-      const rules = [];
+    const pageOrigin = new URL(pageUrl).origin;
+    const replacements = [];
+    walk(ast, {
+      visit: 'Url',
+      enter: (node) => {
+        const url = rewriteAssetUrl(node.value, baseUrl, {
+          mode,
+          pageOrigin,
+          basePath,
+        });
+        if (url !== node.value) {
+          replacements.push({
+            start: node.loc.start.offset,
+            end: node.loc.end.offset,
+            text: generate({ type: 'Url', value: url }),
+          });
+        }
+      },
+    });
 
-      const walk = (node, mediaQuery) => {
-        if (node.type === 'Rule') {
-          const rule = processRule(node, mediaQuery);
-          if (rule) {
-            rules.push(rule);
-          }
-        } else if (node.type === 'Atrule') {
-          // Handle @media queries
-          if (node.name === 'media') {
-            const mediaQueryStr = generateMediaQuery(node.prelude);
-
-            if (node.block && node.block.children) {
-              for (const child of node.block.children) {
-                walk(child, mediaQueryStr);
-              }
-            }
-          }
-          // Handle @font-face
-          else if (node.name === 'font-face') {
-            const fontFaceRule = processFontFace(node);
-            if (fontFaceRule) {
-              rules.push(fontFaceRule);
-            }
+    // Splice from the end so earlier offsets stay valid
+    let rewritten = css;
+    for (const { start, end, text } of replacements.reverse()) {
+      rewritten = rewritten.slice(0, start) + text + rewritten.slice(end);
+    }
+    return rewritten;
+  }
+
+  /**
+   * Parse CSS string into a css-tree AST
+   */
+  parseAST(css) {
+    return parse(css, {
+      parseAtrulePrelude: true,
+      parseRulePrelude: true,
+      parseValue: true,
+      parseCustomProperty: true,
+    });
+  }
+
+  /**
+   * Walk a css-tree AST and collect structured rules
+   * With options.includeNodes, each rule and declaration keeps a reference to
+   * its AST node under `node`
+   */
+  extractRules(ast, options = {}) {
+    const includeNodes = options.includeNodes === true;
+    const rules = [];
+
+    // atRules: enclosing grouping at-rules, outermost first
+    const walk = (node, atRules) => {
+      if (node.type === 'Rule') {
+        const rule = processRule(node, atRules);
+        if (rule) {
+          rules.push(rule);
+        }
+      } else if (node.type === 'Atrule') {
+        // Handle @media, @supports, @layer, @container and @scope blocks
+        if (
+          CSS_CONSTANTS.GROUPING_AT_RULES.includes(node.name) &&
+          node.block
+        ) {
+          const condition = {
+            name: node.name,
+            prelude: generateAtRulePrelude(node),
+          };
+
+          for (const child of node.block.children) {
+            walk(child, [...atRules, condition]);
           }
-        } else if (node.children) {
-          for (const child of node.children) {
-            walk(child, mediaQuery);
+        }
+        // Handle @layer order statements (`@layer reset, base;`)
+        else if (node.name === 'layer') {
+          rules.push({
+            selector: '@layer',
+            prelude: generateAtRulePrelude(node),
+            declarations: [],
+            atRules,
+            ...(includeNodes && { node }),
+          });
+        }
+        // Handle @keyframes, kept whole for addReferencedKeyframes
+        else if (
+          /^(?:-[a-z]+-)?keyframes$/.test(node.name) &&
+          this.options.includeAnimations &&
+          node.block
+        ) {
+          rules.push({
+            selector: `@${node.name}`,
+            prelude: generateAtRulePrelude(node),
+            block: generate(node.block),
+            declarations: [],
+            atRules,
+            ...(includeNodes && { node }),
+          });
+        }
+        // Handle @font-face
+        else if (node.name === 'font-face') {
+          const fontFaceRule = processFontFace(node, atRules);
+          if (fontFaceRule) {
+            rules.push(fontFaceRule);
           }
         }
-      };
+      } else if (node.children) {
+        for (const child of node.children) {
+          walk(child, atRules);
+        }
+      }
+    };
 
-      const processRule = (node, mediaQuery) => {
-        if (!node.prelude || !node.block) return null;
+    const processRule = (node, atRules) => {
+      if (!node.prelude || !node.block) return null;
 
-        const selector = generateSelector(node.prelude);
-        if (!selector || shouldExcludeSelector(selector)) return null;
+      const selector = generateSelector(node.prelude);
+      if (!selector || shouldExcludeSelector(selector)) return null;
 
-        const declarations = processDeclarations(node.block.children);
-        if (declarations.length === 0) return null;
+      const declarations = processDeclarations(node.block.children);
+      if (declarations.length === 0) return null;
 
-        return {
-          selector,
-          declarations,
-          mediaQuery,
-        };
+      return {
+        selector,
+        declarations,
+        atRules,
+        ...(includeNodes && { node }),
       };
+    };
 
-      const processFontFace = (node) => {
-        if (!node.block || !node.block.children) return null;
+    const processFontFace = (node, atRules) => {
+      if (!node.block || !node.block.children) return null;
 
-        const declarations = processDeclarations(node.block.children);
-        if (declarations.length === 0) return null;
+      const declarations = processDeclarations(node.block.children);
+      if (declarations.length === 0) return null;
 
-        return {
-          selector: '@font-face',
-          declarations,
-          mediaQuery: undefined,
-        };
-      };
-
-      const generateSelector = (prelude) => {
-        // Handle Raw nodes (unparsed CSS)
-        if (prelude.type === 'Raw') {
-          return prelude.value?.trim() || '';
-        }
-
-        // Convert css-tree selector prelude to string
-        if (prelude.type === 'SelectorList') {
-          const selectors = [];
-          if (prelude.children) {
-            for (const child of prelude.children) {
-              const sel = generateSelector(child);
-              if (sel) selectors.push(sel);
-            }
-          }
-          return selectors.join(', ');
-        } else if (prelude.type === 'Selector') {
-          const parts = [];
-          if (prelude.children) {
-            for (const child of prelude.children) {
-              if (child.type === 'TypeSelector') parts.push(child.name);
-              else if (child.type === 'ClassSelector')
-                parts.push('.' + child.name);
-              else if (child.type === 'IdSelector')
-                parts.push('#' + child.name);
-              else if (child.type === 'AttributeSelector') {
-                const attrName = child.name?.name || child.name || '';
-                const attrMatcher = child.matcher || '';
-                const attrValue = child.value?.value || child.value?.name || '';
-                if (attrMatcher && attrValue) {
-                  parts.push(`[${attrName}${attrMatcher}"${attrValue}"]`);
-                } else {
-                  parts.push(`[${attrName}]`);
-                }
-              } else if (child.type === 'PseudoClassSelector') {
-                let pseudoStr = ':' + child.name;
-                if (child.children) {
-                  const childSelectors = [];
-                  for (const pc of child.children) {
-                    childSelectors.push(generateSelector(pc));
-                  }
-                  if (childSelectors.length > 0) {
-                    pseudoStr += '(' + childSelectors.join('') + ')';
-                  }
-                }
-                parts.push(pseudoStr);
-              } else if (child.type === 'PseudoElementSelector')
-                parts.push('::' + child.name);
-              else if (child.type === 'Combinator') {
-                // Combinators: ' ', '>', '+', '~'
-                const val = child.name || child.value || ' ';
-                parts.push(val === ' ' ? ' ' : ' ' + val + ' ');
-              } else if (child.type === 'WhiteSpace') parts.push(' ');
-            }
-          }
-          return parts.join('');
-        }
-        return '';
+      return {
+        selector: '@font-face',
+        declarations,
+        atRules,
+        ...(includeNodes && { node }),
       };
+    };
 
-      const generateMediaQuery = (prelude) => {
-        if (!prelude) return '';
+    const generateAtRulePrelude = (node) => {
+      if (!node.prelude) return '';
+      // Keep the established media query formatting for @media
+      if (node.name === 'media') return generateMediaQuery(node.prelude);
+      return generate(node.prelude).trim();
+    };
 
-        // Handle Raw nodes
-        if (prelude.type === 'Raw') {
-          return prelude.value?.trim() || '';
-        }
+    const generateSelector = (prelude) => {
+      // Handle Raw nodes (unparsed CSS)
+      if (prelude.type === 'Raw') {
+        return prelude.value?.trim() || '';
+      }
 
-        // Handle MediaQueryList
-        if (prelude.type === 'MediaQueryList' && prelude.children) {
-          const queries = [];
+      // Convert css-tree selector prelude to string
+      if (prelude.type === 'SelectorList') {
+        const selectors = [];
+        if (prelude.children) {
           for (const child of prelude.children) {
-            queries.push(generateMediaQuery(child));
+            const sel = generateSelector(child);
+            if (sel) selectors.push(sel);
           }
-          return queries.filter(Boolean).join(', ');
         }
-
-        // Handle MediaQuery
-        if (prelude.type === 'MediaQuery' && prelude.children) {
-          const parts = [];
+        return selectors.join(', ');
+      } else if (prelude.type === 'Selector') {
+        const parts = [];
+        if (prelude.children) {
           for (const child of prelude.children) {
-            parts.push(generateMediaQuery(child));
+            if (child.type === 'TypeSelector') parts.push(child.name);
+            else if (child.type === 'ClassSelector')
+              parts.push('.' + child.name);
+            else if (child.type === 'IdSelector')
+              parts.push('#' + child.name);
+            else if (child.type === 'AttributeSelector') {
+              const attrName = child.name?.name || child.name || '';
+              const attrMatcher = child.matcher || '';
+              const attrValue = child.value?.value || child.value?.name || '';
+              if (attrMatcher && attrValue) {
+                parts.push(`[${attrName}${attrMatcher}"${attrValue}"]`);
+              } else {
+                parts.push(`[${attrName}]`);
+              }
+            } else if (
+              child.type === 'PseudoClassSelector' ||
+              child.type === 'PseudoElementSelector'
+            ) {
+              // css-tree keeps An+B, `of S` and selector list arguments intact
+              parts.push(generate(child));
+            }
+            else if (child.type === 'Combinator') {
+              // Combinators: ' ', '>', '+', '~'
+              const val = child.name || child.value || ' ';
+              parts.push(val === ' ' ? ' ' : ' ' + val + ' ');
+            } else if (child.type === 'WhiteSpace') parts.push(' ');
           }
-          return parts.filter(Boolean).join(' ');
         }
+        return parts.join('');
+      }
+      return '';
+    };
 
-        // Handle MediaFeature
-        if (prelude.type === 'MediaFeature') {
-          const name = prelude.name || '';
-          if (prelude.value) {
-            const val = generateMediaQuery(prelude.value);
-            return `(${name}: ${val})`;
-          }
-          return `(${name})`;
-        }
+    const generateMediaQuery = (prelude) => {
+      if (!prelude) return '';
 
-        // Handle individual tokens
-        if (prelude.type === 'Identifier') return prelude.name;
-        if (prelude.type === 'Number') return prelude.value;
-        if (prelude.type === 'Dimension') return prelude.value + prelude.unit;
-        if (prelude.type === 'Ratio') return `${prelude.left}/${prelude.right}`;
-        if (prelude.type === 'Operator') return prelude.value;
+      // Handle Raw nodes
+      if (prelude.type === 'Raw') {
+        return prelude.value?.trim() || '';
+      }
 
-        // Generic children handling
-        if (prelude.children) {
-          const parts = [];
-          for (const child of prelude.children) {
-            parts.push(generateMediaQuery(child));
-          }
-          return parts.filter(Boolean).join(' ');
+      // Handle MediaQueryList
+      if (prelude.type === 'MediaQueryList' && prelude.children) {
+        const queries = [];
+        for (const child of prelude.children) {
+          queries.push(generateMediaQuery(child));
         }
+        return queries.filter(Boolean).join(', ');
+      }
 
-        return '';
-      };
+      // Handle MediaQuery
+      if (prelude.type === 'MediaQuery' && prelude.children) {
+        const parts = [];
+        for (const child of prelude.children) {
+          parts.push(generateMediaQuery(child));
+        }
+        return parts.filter(Boolean).join(' ');
+      }
 
-      const processDeclarations = (children) => {
-        const declarations = [];
+      // Handle MediaFeature
+      if (prelude.type === 'MediaFeature') {
+        const name = prelude.name || '';
+        if (prelude.value) {
+          const val = generateMediaQuery(prelude.value);
+          return `(${name}: ${val})`;
+        }
+        return `(${name})`;
+      }
 
-        if (!children) return declarations;
+      // Handle individual tokens
+      if (prelude.type === 'Identifier') return prelude.name;
+      if (prelude.type === 'Number') return prelude.value;
+      if (prelude.type === 'Dimension') return prelude.value + prelude.unit;
+      if (prelude.type === 'Ratio') return `${prelude.left}/${prelude.right}`;
+      if (prelude.type === 'Operator') return prelude.value;
+
+      // Generic children handling
+      if (prelude.children) {
+        const parts = [];
+        for (const child of prelude.children) {
+          parts.push(generateMediaQuery(child));
+        }
+        return parts.filter(Boolean).join(' ');
+      }
 
-        // css-tree uses an iterable linked list
-        for (const child of children) {
-          if (child.type === 'Declaration') {
-            const property = child.property;
-            const value = generateValue(child.value);
-            const important = child.important === true;
+      return '';
+    };
 
-            if (shouldIncludeProperty(property, value)) {
-              declarations.push({
-                property,
-                value,
-                important,
-              });
-            }
+    const processDeclarations = (children) => {
+      const declarations = [];
+
+      if (!children) return declarations;
+
+      // css-tree uses an iterable linked list
+      for (const child of children) {
+        if (child.type === 'Declaration') {
+          const property = child.property;
+          const value = generateValue(child.value);
+          const important = child.important === true;
+
+          if (shouldIncludeProperty(property, value)) {
+            declarations.push({
+              property,
+              value,
+              important,
+              ...(includeNodes && { node: child }),
+            });
           }
         }
+      }
 
-        return declarations;
-      };
-
-      const generateValue = (valueNode) => {
-        if (!valueNode) return '';
+      return declarations;
+    };
 
-        // Handle Raw nodes
-        if (valueNode.type === 'Raw') {
-          return valueNode.value?.trim() || '';
-        }
+    const generateValue = (valueNode) => {
+      if (!valueNode) return '';
 
-        // Handle Value nodes (container for value children)
-        if (valueNode.type === 'Value' && valueNode.children) {
-          const parts = [];
-          for (const child of valueNode.children) {
-            parts.push(generateValue(child));
-          }
-          return parts.join('');
-        }
+      // css-tree drops whitespace nodes while parsing; its generator puts back
+      // the separators that matter (`0 auto`, `fade .3s ease-in`)
+      return generate(valueNode).trim();
+    };
 
-        if (valueNode.type === 'Identifier') return valueNode.name;
-        if (valueNode.type === 'Number')
-          return valueNode.value?.toString() || '0';
-        if (valueNode.type === 'String') return `"${valueNode.value}"`;
-        if (valueNode.type === 'Dimension')
-          return valueNode.value + valueNode.unit;
-        if (valueNode.type === 'Percentage') return valueNode.value + '%';
-        if (valueNode.type === 'Hash') return '#' + valueNode.value;
-        if (valueNode.type === 'Function') {
-          const args = [];
-          if (valueNode.children) {
-            for (const child of valueNode.children) {
-              args.push(generateValue(child));
-            }
-          }
-          return valueNode.name + '(' + args.join('') + ')';
-        }
-        if (valueNode.type === 'Url') {
-          return `url(${valueNode.value})`;
+    const shouldExcludeSelector = (selector) => {
+      // Check for excluded selectors; :hover only when hover states are off
+      for (const excluded of CSS_CONSTANTS.EXCLUDED_SELECTORS) {
+        if (excluded === ':hover' && this.options.includeHoverStates) {
+          continue;
         }
-        if (valueNode.type === 'Operator') return valueNode.value;
-        if (valueNode.type === 'WhiteSpace') return ' ';
-        if (valueNode.type === 'Comma') return ', ';
-
-        // Generic children handling
-        if (valueNode.children) {
-          const parts = [];
-          for (const child of valueNode.children) {
-            parts.push(generateValue(child));
-          }
-          return parts.join('');
+        if (selector.includes(excluded)) {
+          return true;
         }
+      }
 
-        return '';
-      };
-
-      const shouldExcludeSelector = (selector) => {
-        // Check for excluded selectors
-        for (const excluded of CSS_CONSTANTS.EXCLUDED_SELECTORS) {
-          if (selector.includes(excluded)) {
-            return true;
-          }
-        }
+      return false;
+    };
 
-        // Skip if no hover states allowed
-        if (!this.options.includeHoverStates && selector.includes(':hover')) {
-          return true;
-        }
+    const shouldIncludeProperty = (property, value) => {
+      const { propertyPolicy } = this.options;
+      const family = this.getPropertyFamily(property);
+      // Animations and transitions are opt-in features, not allowlist entries
+      const isEnabledFeature =
+        (family === 'animation' && this.options.includeAnimations) ||
+        (family === 'transition' && this.options.includeTransitions);
+
+      // Custom properties are kept unless denied explicitly; unused ones are
+      // pruned later by resolveCustomProperties
+      if (property.startsWith('--')) {
+        return (
+          isPropertyAllowed(propertyPolicy, property) ||
+          (propertyPolicy.mode === 'allowlist' &&
+            !hasPropertyOverride(propertyPolicy, property))
+        );
+      }
 
+      // Check if property is allowed by the policy
+      if (!isPropertyAllowed(propertyPolicy, property) && !isEnabledFeature) {
         return false;
-      };
+      }
 
-      const shouldIncludeProperty = (property, value) => {
-        // Check if property is allowed
-        if (!CSS_CONSTANTS.ALLOWED_PROPERTIES.includes(property)) {
-          return false;
-        }
+      // An explicit per-property override beats the feature toggles and the
+      // value filter below
+      if (hasPropertyOverride(propertyPolicy, property)) {
+        return isPropertyAllowed(propertyPolicy, property);
+      }
 
-        // Exclude shadows unless explicitly allowed
-        if (
-          !this.options.includeShadows &&
-          (property.includes('shadow') || property.includes('box-shadow'))
-        ) {
-          return false;
-        }
+      // Exclude shadows unless explicitly allowed
+      if (
+        !this.options.includeShadows &&
+        (property.includes('shadow') || property.includes('box-shadow'))
+      ) {
+        return false;
+      }
 
-        // Exclude animations unless explicitly allowed
-        if (
-          !this.options.includeAnimations &&
-          (property.includes('animation') || property.includes('keyframes'))
-        ) {
-          return false;
-        }
+      // Exclude animations unless explicitly allowed
+      if (
+        !this.options.includeAnimations &&
+        (property.includes('animation') || property.includes('keyframes'))
+      ) {
+        return false;
+      }
 
-        // Exclude transitions unless explicitly allowed
-        if (
-          !this.options.includeTransitions &&
-          property.includes('transition')
-        ) {
-          return false;
-        }
+      // Exclude transitions unless explicitly allowed
+      if (
+        !this.options.includeTransitions &&
+        property.includes('transition')
+      ) {
+        return false;
+      }
 
-        // Exclude properties with invalid values
-        if (value === 'none' || value === 'initial' || value === 'unset') {
-          return false;
-        }
+      // Exclude properties with invalid values, except when every property
+      // is wanted as written
+      return (
+        propertyPolicy.preset === 'full-fidelity' || !isInvalidValue(value)
+      );
+    };
 
-        return true;
-      };
+    const isInvalidValue = (value) =>
+      value === 'none' || value === 'initial' || value === 'unset';
 
-      // Start walking the AST
-      walk(ast);
+    // Start walking the AST
+    walk(ast, []);
 
-      return rules;
-    } catch (error) {
-      console.error('CSS parsing error:', error);
-      return [];
-    }
+    return rules;
   }
 
   /**
    * Filter CSS rules based on above-fold elements
+   * Selectors that need the browser (needsBrowserCheck) must also be in
+   * options.browserMatches, the selectors DOMUtils.matchSelectors matched.
+   * @param {Object[]} rules - Parsed rules
+   * @param {Set<string>} aboveFoldSelectors - Tokens of the above-fold elements
+   * @param {Object} options - { browserMatches: Set<string> } (optional)
+   * @returns {Object[]} - Critical rules
    */
-  filterCSSRules(rules, aboveFoldSelectors) {
+  filterCSSRules(rules, aboveFoldSelectors, options = {}) {
+    const { browserMatches } = options;
     // Convert to array for faster lookups
     const selectorArray = Array.from(aboveFoldSelectors);
 
@@ -381,8 +556,13 @@ class CSSParser {
     }
 
     return rules.filter((rule) => {
-      // Always include @font-face rules
-      if (rule.selector === '@font-face') return true;
+      // Always include @font-face rules and @layer order statements
+      if (rule.selector === '@font-face' || rule.selector === '@layer') {
+        return true;
+      }
+
+      // Other at-rules (@keyframes) are added by reference, not by selector
+      if (rule.selector.startsWith('@')) return false;
 
       // Always include :root and html/body rules (global styles)
       if (
@@ -397,11 +577,20 @@ class CSSParser {
       if (rule.selector === '*') return true;
 
       // Check if any part of the selector matches above-fold elements
-      const selectors = rule.selector.split(',').map((s) => s.trim());
+      const selectors = this.splitSelectorList(rule.selector);
 
       return selectors.some((selector) => {
+        if (
+          browserMatches &&
+          this.needsBrowserCheck(selector) &&
+          !browserMatches.has(selector)
+        ) {
+          return false;
+        }
+
+        // Tokens inside :not() exclude elements, so they cannot make a match
         return this.matchesSelector(
-          selector,
+          this.removeNegations(selector),
           tagSelectors,
           classSelectors,
           idSelectors
@@ -410,6 +599,296 @@ class CSSParser {
     });
   }
 
+  /**
+   * Check whether token matching cannot judge a selector on its own
+   * (::before/::after, :nth-child(), :not(), ...)
+   */
+  needsBrowserCheck(selector) {
+    return BROWSER_CHECKED_SELECTOR.test(selector);
+  }
+
+  /**
+   * Remove every :not(...) from a selector, nested parentheses included
+   * (`.a:not(:is(.b, .c)) .d` -> `.a .d`)
+   */
+  removeNegations(selector) {
+    let result = '';
+    let index = 0;
+
+    while (index < selector.length) {
+      const start = selector.toLowerCase().indexOf(':not(', index);
+      if (start === -1) break;
+
+      result += selector.slice(index, start);
+      let depth = 0;
+      index = start + ':not'.length;
+      do {
+        if (selector[index] === '(') depth++;
+        else if (selector[index] === ')') depth--;
+        index++;
+      } while (depth > 0 && index < selector.length);
+    }
+
+    return result + selector.slice(index);
+  }
+
+  /**
+   * Add the @keyframes referenced by animations of the critical rules
+   * @param {Object[]} criticalRules - Rules selected as critical
+   * @param {Object[]} allRules - Every parsed rule, including @keyframes
+   * @returns {Object[]} - Critical rules followed by the referenced @keyframes
+   */
+  addReferencedKeyframes(criticalRules, allRules) {
+    const animationNames = new Set();
+    for (const rule of criticalRules) {
+      for (const declaration of rule.declarations) {
+        if (!/^(?:-[a-z]+-)?animation(?:-name)?$/.test(declaration.property)) {
+          continue;
+        }
+        // Every token is a candidate; keywords and timings rarely name @keyframes
+        for (const token of declaration.value.split(/[\s,]+/)) {
+          animationNames.add(token.replace(/^["']|["']$/g, ''));
+        }
+      }
+    }
+
+    const keyframes = allRules.filter(
+      (rule) =>
+        rule.selector.endsWith('keyframes') && animationNames.has(rule.prelude)
+    );
+    if (keyframes.length > 0) {
+      console.log(`Including ${keyframes.length} referenced @keyframes`);
+    }
+
+    return [...criticalRules, ...keyframes];
+  }
+
+  /**
+   * Keep only the custom properties that critical declarations use
+   * var() chains are followed through the definitions transitively. With
+   * `inline`, references to global properties (inlineCustomProperties) are
+   * replaced by their value first, so their definitions usually become
+   * unused too.
+   * @param {Object[]} rules - Critical rules
+   * @param {Object} options - { inline: boolean, allRules: every parsed
+   *   rule, critical or not (defaults to `rules`) }
+   * @returns {Object[]} - Rules without unused custom properties
+   */
+  resolveCustomProperties(rules, options = {}) {
+    const resolvedRules = options.inline
+      ? this.inlineCustomProperties(rules, options.allRules || rules)
+      : rules;
+
+    const definitions = this.collectCustomProperties(resolvedRules);
+    const used = new Set();
+    const pending = [];
+    const use = (text) => {
+      for (const [, name] of text.matchAll(/var\(\s*(--[\w-]+)/g)) {
+        if (!used.has(name)) {
+          used.add(name);
+          pending.push(name);
+        }
+      }
+    };
+
+    for (const rule of resolvedRules) {
+      if (rule.block) use(rule.block);
+      for (const declaration of rule.declarations) {
+        if (!declaration.property.startsWith('--')) use(declaration.value);
+      }
+    }
+    while (pending.length > 0) {
+      for (const value of definitions.get(pending.pop()) || []) {
+        use(value);
+      }
+    }
+
+    const prunedRules = resolvedRules
+      .map((rule) => ({
+        ...rule,
+        declarations: rule.declarations.filter(
+          (declaration) =>
+            !declaration.property.startsWith('--') ||
+            used.has(declaration.property)
+        ),
+      }))
+      .filter(
+        (rule) => rule.declarations.length > 0 || rule.selector.startsWith('@')
+      );
+
+    const keptCount = [...definitions.keys()].filter((name) =>
+      used.has(name)
+    ).length;
+    console.log(`Kept ${keptCount}/${definitions.size} custom properties`);
+    return prunedRules;
+  }
+
+  /**
+   * Map each custom property to the distinct values the rules give it
+   * @returns {Map<string, Set<string>>}
+   */
+  collectCustomProperties(rules) {
+    const definitions = new Map();
+    for (const rule of rules) {
+      for (const declaration of rule.declarations) {
+        if (!declaration.property.startsWith('--')) continue;
+        if (!definitions.has(declaration.property)) {
+          definitions.set(declaration.property, new Set());
+        }
+        definitions.get(declaration.property).add(declaration.value);
+      }
+    }
+    return definitions;
+  }
+
+  /**
+   * Replace var() references by their value where it cannot depend on the
+   * element: every rule defining the property is an unconditional `:root` or
+   * `html` rule, and they all give it the same value. References to anything
+   * else, including undefined properties with a fallback (an inline style
+   * may still set them), are left alone.
+   * @param {Object[]} rules - Critical rules
+   * @param {Object[]} allRules - Every parsed rule, to see all definitions
+   * @returns {Object[]}
+   */
+  inlineCustomProperties(rules, allRules = rules) {
+    const globalDefinitions = this.collectCustomProperties(
+      allRules.filter((rule) => this.isGlobalRule(rule))
+    );
+
+    // Returns the substituted text, or null when a reference stays unresolved
+    const substitute = (text, resolving) => {
+      let result = '';
+      let index = 0;
+
+      while (index < text.length) {
+        const start = text.indexOf('var(', index);
+        if (start === -1) break;
+
+        // Find the matching closing parenthesis
+        let depth = 0;
+        let end = start + 3;
+        for (; end < text.length; end++) {
+          if (text[end] === '(') depth++;
+          else if (text[end] === ')' && --depth === 0) break;
+        }
+        if (end >= text.length) return null;
+
+        const inner = text.slice(start + 4, end);
+        const comma = inner.indexOf(',');
+        const name = (comma === -1 ? inner : inner.slice(0, comma)).trim();
+
+        const values = globalDefinitions.get(name);
+        if (
+          !values ||
+          values.size !== 1 ||
+          this.isDefinedOutsideGlobalRules(allRules, name) ||
+          resolving.has(name)
+        ) {
+          return null;
+        }
+        const replacement = substitute(
+          [...values][0],
+          new Set([...resolving, name])
+        );
+        if (replacement === null) return null;
+
+        result += text.slice(index, start) + replacement;
+        index = end + 1;
+      }
+
+      return result + text.slice(index);
+    };
+
+    let inlinedCount = 0;
+    const inlinedRules = rules.map((rule) => ({
+      ...rule,
+      declarations: rule.declarations.map((declaration) => {
+        if (
+          declaration.property.startsWith('--') ||
+          !declaration.value.includes('var(')
+        ) {
+          return declaration;
+        }
+
+        const value = substitute(declaration.value, new Set());
+        if (value === null) return declaration;
+
+        inlinedCount++;
+        return { ...declaration, value };
+      }),
+    }));
+
+    console.log(`Inlined custom properties in ${inlinedCount} declaration(s)`);
+    return inlinedRules;
+  }
+
+  /**
+   * An unconditional rule for the document element: `:root` or `html`, not
+   * under any at-rule
+   */
+  isGlobalRule(rule) {
+    return (
+      (!rule.atRules || rule.atRules.length === 0) &&
+      this.splitSelectorList(rule.selector).every((selector) =>
+        [':root', 'html'].includes(selector.toLowerCase())
+      )
+    );
+  }
+
+  isDefinedOutsideGlobalRules(rules, name) {
+    return rules.some(
+      (rule) =>
+        !this.isGlobalRule(rule) &&
+        rule.declarations.some((declaration) => declaration.property === name)
+    );
+  }
+
+  /**
+   * Filter CSS rules to those with a selector the browser matched against
+   * above-fold nodes (see DOMUtils.matchSelectors)
+   * @param {Object[]} rules - Parsed rules
+   * @param {Set<string>} matchedSelectors - Single selectors that matched
+   * @returns {Object[]} - Critical rules
+   */
+  filterRulesByMatches(rules, matchedSelectors) {
+    return rules.filter((rule) => {
+      // Always include @font-face rules and @layer order statements
+      if (rule.selector === '@font-face' || rule.selector === '@layer') {
+        return true;
+      }
+
+      return this.splitSelectorList(rule.selector).some((selector) =>
+        matchedSelectors.has(selector)
+      );
+    });
+  }
+
+  /**
+   * Split a selector list on its top-level commas
+   * (`.a, :is(.b, .c)` -> ['.a', ':is(.b, .c)'])
+   */
+  splitSelectorList(selectorList) {
+    const selectors = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of selectorList) {
+      if (char === '(' || char === '[') depth++;
+      else if (char === ')' || char === ']') depth--;
+
+      if (char === ',' && depth === 0) {
+        selectors.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    selectors.push(current.trim());
+
+    return selectors.filter(Boolean);
+  }
+
   /**
    * Check if a CSS selector matches any of the above-fold element selectors
    */
@@ -466,95 +945,257 @@ class CSSParser {
   /**
    * Generate CSS string from rules
    */
-  generateCSS(rules) {
+  generateCSS(rules, options = {}) {
+    const compact = options.compact === true;
     const cssParts = [];
+    // At-rule heads currently open, outermost first
+    let openAtRules = [];
 
     for (const rule of rules) {
+      const atRuleHeads = (rule.atRules || []).map((atRule) =>
+        compact ? this.formatCompactAtRule(atRule) : this.formatAtRule(atRule)
+      );
       let ruleCSS = '';
 
-      if (rule.mediaQuery) {
-        ruleCSS += `@media ${rule.mediaQuery} {\n`;
+      // Consecutive rules under the same at-rules share one block
+      let shared = 0;
+      while (
+        shared < openAtRules.length &&
+        shared < atRuleHeads.length &&
+        openAtRules[shared] === atRuleHeads[shared]
+      ) {
+        shared++;
       }
-
-      ruleCSS += `${rule.selector} {\n`;
-
-      for (const declaration of rule.declarations) {
-        const important = declaration.important ? ' !important' : '';
-        ruleCSS += `  ${declaration.property}: ${declaration.value}${important};\n`;
+      ruleCSS += (compact ? '}' : '}\n').repeat(openAtRules.length - shared);
+      for (const head of atRuleHeads.slice(shared)) {
+        ruleCSS += compact ? `${head}{` : `${head} {\n`;
       }
+      openAtRules = atRuleHeads;
+
+      if (rule.selector === '@layer') {
+        ruleCSS += `@layer ${rule.prelude};${compact ? '' : '\n'}`;
+      } else if (rule.block) {
+        ruleCSS += `${rule.selector} ${rule.prelude}${compact ? '' : ' '}${rule.block}${compact ? '' : '\n'}`;
+      } else if (compact) {
+        const declarations = rule.declarations.map(
+          (declaration) =>
+            `${declaration.property}:${declaration.value}${declaration.important ? '!important' : ''}`
+        );
+        ruleCSS += `${this.formatCompactSelector(rule.selector)}{${declarations.join(';')}}`;
+      } else {
+        ruleCSS += `${rule.selector} {\n`;
 
-      ruleCSS += '}\n';
+        for (const declaration of rule.declarations) {
+          const important = declaration.important ? ' !important' : '';
+          ruleCSS += `  ${declaration.property}: ${declaration.value}${important};\n`;
+        }
 
-      if (rule.mediaQuery) {
         ruleCSS += '}\n';
       }
 
       cssParts.push(ruleCSS);
     }
+    cssParts.push((compact ? '}' : '}\n').repeat(openAtRules.length));
 
-    return cssParts.join('\n');
+    return cssParts.join(compact ? '' : '\n').trim();
   }
 
   /**
-   * Deduplicate CSS rules
+   * Format an at-rule condition head (`@supports (display: grid)`)
    */
-  deduplicateRules(rules) {
-    const seen = new Set();
-    const uniqueRules = [];
+  formatAtRule(atRule) {
+    return atRule.prelude
+      ? `@${atRule.name} ${atRule.prelude}`
+      : `@${atRule.name}`;
+  }
 
-    for (const rule of rules) {
-      const key = `${rule.selector}|${rule.mediaQuery || ''}`;
+  /**
+   * Format an at-rule head without optional whitespace
+   * Preludes css-tree cannot parse keep their text, with whitespace collapsed
+   */
+  formatCompactAtRule(atRule) {
+    if (!atRule.prelude) return `@${atRule.name}`;
 
-      if (!seen.has(key)) {
-        seen.add(key);
+    try {
+      const prelude = parse(atRule.prelude, {
+        context: 'atrulePrelude',
+        atrule: atRule.name,
+      });
+      return `@${atRule.name} ${generate(prelude)}`;
+    } catch {
+      return `@${atRule.name} ${atRule.prelude.replace(/\s+/g, ' ').trim()}`;
+    }
+  }
 
-        // Deduplicate declarations within the rule
-        const uniqueDeclarations = this.deduplicateDeclarations(
-          rule.declarations
-        );
+  /**
+   * Format a selector list without optional whitespace
+   */
+  formatCompactSelector(selector) {
+    if (selector.startsWith('@')) return selector;
 
-        uniqueRules.push({
-          ...rule,
-          declarations: uniqueDeclarations,
-        });
-      }
+    try {
+      return generate(parse(selector, { context: 'selectorList' }));
+    } catch {
+      return selector;
     }
+  }
 
-    return uniqueRules;
+  /**
+   * Identify a rule's at-rule context
+   */
+  getAtRuleKey(rule) {
+    return (rule.atRules || [])
+      .map((atRule) => this.formatAtRule(atRule))
+      .join(' ');
   }
 
   /**
-   * Deduplicate declarations within a rule
+   * Generate the non-critical remainder of a stylesheet
+   * Critical declarations are removed from the source CSS in place, so the
+   * remainder keeps the original cascade order and every rule the parser
+   * would otherwise skip (hover states, keyframes, unlisted properties).
+   * A critical declaration stays in the remainder when an earlier remaining
+   * declaration sets any of the same longhands (`font` and `line-height`), so
+   * loading the remainder after the inlined CSS cannot let the earlier rule
+   * win.
+   * @param {string} css - Full source CSS the critical rules were parsed from
+   * @param {Object[]} criticalRules - Rules included in the critical output
+   * @returns {string} - Remainder CSS
    */
-  deduplicateDeclarations(declarations) {
-    const seen = new Map();
+  generateRemainderCSS(css, criticalRules) {
+    if (!css || css.trim().length === 0) return '';
 
-    for (const decl of declarations) {
-      const key = decl.property;
+    const criticalKeys = new Set();
+    for (const rule of criticalRules) {
+      for (const declaration of rule.declarations) {
+        criticalKeys.add(this.getDeclarationKey(rule, declaration));
+      }
+    }
 
-      // Keep the declaration with higher importance or the last one
-      const existing = seen.get(key);
-      if (!existing || (decl.important && !existing.important)) {
-        seen.set(key, decl);
+    const ast = this.parseAST(css);
+
+    // Mark the AST declarations that made it into the critical output
+    // (@font-face is kept whole: the critical copy lacks src)
+    const criticalNodes = new Set();
+    for (const rule of this.extractRules(ast, { includeNodes: true })) {
+      if (rule.selector === '@font-face') continue;
+      for (const declaration of rule.declarations) {
+        if (criticalKeys.has(this.getDeclarationKey(rule, declaration))) {
+          criticalNodes.add(declaration.node);
+        }
       }
     }
 
-    return Array.from(seen.values());
+    // Walk declarations in document order and drop the safe critical ones
+    const keptLonghands = new LonghandSet();
+    const removals = [];
+    walk(ast, {
+      visit: 'Declaration',
+      enter: (node, item, list) => {
+        if (criticalNodes.has(node) && !keptLonghands.overlaps(node.property)) {
+          removals.push({ item, list });
+        } else {
+          keptLonghands.add(node.property);
+        }
+      },
+    });
+    for (const { item, list } of removals) {
+      list.remove(item);
+    }
+
+    // Drop rules and conditional at-rules left empty, innermost first
+    walk(ast, {
+      leave: (node, item, list) => {
+        if (
+          list &&
+          (node.type === 'Rule' || node.type === 'Atrule') &&
+          node.block &&
+          node.block.children.isEmpty
+        ) {
+          list.remove(item);
+        }
+      },
+    });
+
+    const remainderCSS = generate(ast);
+    console.log(
+      `Removed ${removals.length} critical declaration(s) from remainder (${remainderCSS.length} bytes)`
+    );
+    return remainderCSS;
+  }
+
+  /**
+   * Collect the width breakpoints used by a stylesheet's @media rules
+   * min-width: N starts a range at N; max-width: N ends one, so the next
+   * range starts just above it. em and rem are taken as 16px.
+   * @param {string} css - Stylesheet source
+   * @returns {number[]} - Breakpoints in px, ascending
+   */
+  extractBreakpoints(css) {
+    const breakpoints = new Set();
+    const featureRegex =
+      /\(\s*(min|max)-width\s*:\s*([\d.]+)(px|em|rem)\s*\)|\(\s*width\s*(>=|>|<=|<)\s*([\d.]+)(px|em|rem)\s*\)/g;
+
+    for (const [, prelude] of (css || '').matchAll(/@media\b([^{]*)\{/g)) {
+      for (const match of prelude.matchAll(featureRegex)) {
+        const [, minMax, value, unit, operator, rangeValue, rangeUnit] = match;
+        const px =
+          parseFloat(value ?? rangeValue) *
+          ((unit ?? rangeUnit) === 'px' ? 1 : 16);
+        if (!(px > 0)) continue;
+
+        // Normalise to the first width of the upper range
+        const startsRange =
+          minMax === 'min' || operator === '>=' || operator === '<';
+        breakpoints.add(startsRange ? Math.ceil(px) : Math.floor(px) + 1);
+      }
+    }
+
+    return Array.from(breakpoints).sort((a, b) => a - b);
   }
 
   /**
-   * Minify CSS output
+   * Identify a declaration by its rule context and content
+   */
+  getDeclarationKey(rule, declaration) {
+    return [
+      this.getAtRuleKey(rule),
+      rule.selector,
+      declaration.property,
+      declaration.value,
+      declaration.important ? '!important' : '',
+    ].join('|');
+  }
+
+  /**
+   * Group a property with its shorthand and longhands
+   * (margin-top -> margin, -webkit-transform -> transform)
+   */
+  getPropertyFamily(property) {
+    if (property.startsWith('--')) return property;
+    return property.replace(/^-[a-z]+-/, '').split('-')[0];
+  }
+
+  /**
+   * Minify CSS text without structural changes
+   * css-tree regenerates the stylesheet without optional whitespace and
+   * comments; strings and url() values are left intact. Use CSSMinifier to
+   * optimise rules.
    */
   minifyCSS(css) {
-    return css
-      .replace(/\/\*[\s\S]*?\*\//g, '') // Remove comments
-      .replace(/\s+/g, ' ') // Collapse whitespace
-      .replace(/;\s*}/g, '}') // Remove semicolons before closing brace
-      .replace(/\s*{\s*/g, '{') // Collapse braces
-      .replace(/;\s*/g, ';') // Collapse semicolons
-      .replace(/:\s+/g, ':') // Collapse colons
-      .trim();
+    try {
+      return generate(this.parseAST(css));
+    } catch (error) {
+      console.error('CSS minification error:', error);
+      return css.trim();
+    }
   }
 }
 
-module.exports = { CSSParser };
+module.exports = {
+  CSSParser,
+  getSourceCSS,
+  SELECTOR_MATCHING_MODES,
+  CUSTOM_PROPERTY_MODES,
+  URL_REWRITE_MODES,
+};
@@ -0,0 +1,337 @@
+/**
+ * Which CSS properties set the same values
+ * Shorthands are expanded to the longhands they set, so two declarations
+ * overlap when their longhands intersect (`font` and `line-height`, `inset`
+ * and `top`). Used to keep cascade order intact when declarations are moved
+ * between rules or stylesheets.
+ */
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+const CORNERS = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+
+// Alternative names of the same property
+const ALIASES = {
+  'grid-gap': 'gap',
+  'grid-row-gap': 'row-gap',
+  'grid-column-gap': 'column-gap',
+  'word-wrap': 'overflow-wrap',
+};
+
+/**
+ * Shorthand -> the properties it sets (which may be shorthands themselves)
+ */
+const SHORTHAND_PROPERTIES = {
+  margin: SIDES.map((side) => `margin-${side}`),
+  'margin-block': ['margin-block-start', 'margin-block-end'],
+  'margin-inline': ['margin-inline-start', 'margin-inline-end'],
+  padding: SIDES.map((side) => `padding-${side}`),
+  'padding-block': ['padding-block-start', 'padding-block-end'],
+  'padding-inline': ['padding-inline-start', 'padding-inline-end'],
+  'scroll-margin': SIDES.map((side) => `scroll-margin-${side}`),
+  'scroll-margin-block': [
+    'scroll-margin-block-start',
+    'scroll-margin-block-end',
+  ],
+  'scroll-margin-inline': [
+    'scroll-margin-inline-start',
+    'scroll-margin-inline-end',
+  ],
+  'scroll-padding': SIDES.map((side) => `scroll-padding-${side}`),
+  'scroll-padding-block': [
+    'scroll-padding-block-start',
+    'scroll-padding-block-end',
+  ],
+  'scroll-padding-inline': [
+    'scroll-padding-inline-start',
+    'scroll-padding-inline-end',
+  ],
+  inset: SIDES,
+  'inset-block': ['inset-block-start', 'inset-block-end'],
+  'inset-inline': ['inset-inline-start', 'inset-inline-end'],
+
+  border: ['border-width', 'border-style', 'border-color', 'border-image'],
+  'border-width': SIDES.map((side) => `border-${side}-width`),
+  'border-style': SIDES.map((side) => `border-${side}-style`),
+  'border-color': SIDES.map((side) => `border-${side}-color`),
+  ...Object.fromEntries(
+    [...SIDES, 'block-start', 'block-end', 'inline-start', 'inline-end'].map(
+      (side) => [
+        `border-${side}`,
+        ['width', 'style', 'color'].map((part) => `border-${side}-${part}`),
+      ]
+    )
+  ),
+  'border-block': ['border-block-start', 'border-block-end'],
+  'border-inline': ['border-inline-start', 'border-inline-end'],
+  ...Object.fromEntries(
+    ['block', 'inline'].flatMap((axis) =>
+      ['width', 'style', 'color'].map((part) => [
+        `border-${axis}-${part}`,
+        [`border-${axis}-start-${part}`, `border-${axis}-end-${part}`],
+      ])
+    )
+  ),
+  'border-radius': CORNERS.map((corner) => `border-${corner}-radius`),
+  'border-image': [
+    'border-image-source',
+    'border-image-slice',
+    'border-image-width',
+    'border-image-outset',
+    'border-image-repeat',
+  ],
+  outline: ['outline-color', 'outline-style', 'outline-width'],
+
+  background: [
+    'background-color',
+    'background-image',
+    'background-position',
+    'background-size',
+    'background-repeat',
+    'background-attachment',
+    'background-origin',
+    'background-clip',
+  ],
+  'background-position': ['background-position-x', 'background-position-y'],
+  mask: [
+    'mask-image',
+    'mask-mode',
+    'mask-repeat',
+    'mask-position',
+    'mask-clip',
+    'mask-origin',
+    'mask-size',
+    'mask-composite',
+  ],
+
+  font: [
+    'font-style',
+    'font-variant',
+    'font-weight',
+    'font-stretch',
+    'font-size',
+    'line-height',
+    'font-family',
+    'font-size-adjust',
+    'font-kerning',
+    'font-optical-sizing',
+    'font-feature-settings',
+    'font-variation-settings',
+    'font-language-override',
+  ],
+  'font-variant': [
+    'font-variant-caps',
+    'font-variant-ligatures',
+    'font-variant-numeric',
+    'font-variant-east-asian',
+    'font-variant-alternates',
+    'font-variant-position',
+    'font-variant-emoji',
+  ],
+  'list-style': ['list-style-type', 'list-style-position', 'list-style-image'],
+  'text-decoration': [
+    'text-decoration-line',
+    'text-decoration-style',
+    'text-decoration-color',
+    'text-decoration-thickness',
+  ],
+  'text-emphasis': ['text-emphasis-style', 'text-emphasis-color'],
+  'white-space': ['white-space-collapse', 'text-wrap-mode'],
+  'text-wrap': ['text-wrap-mode', 'text-wrap-style'],
+
+  flex: ['flex-grow', 'flex-shrink', 'flex-basis'],
+  'flex-flow': ['flex-direction', 'flex-wrap'],
+  grid: [
+    'grid-template',
+    'grid-auto-rows',
+    'grid-auto-columns',
+    'grid-auto-flow',
+  ],
+  'grid-template': [
+    'grid-template-rows',
+    'grid-template-columns',
+    'grid-template-areas',
+  ],
+  'grid-area': ['grid-row', 'grid-column'],
+  'grid-row': ['grid-row-start', 'grid-row-end'],
+  'grid-column': ['grid-column-start', 'grid-column-end'],
+  gap: ['row-gap', 'column-gap'],
+  'place-content': ['align-content', 'justify-content'],
+  'place-items': ['align-items', 'justify-items'],
+  'place-self': ['align-self', 'justify-self'],
+  columns: ['column-width', 'column-count'],
+  'column-rule': [
+    'column-rule-width',
+    'column-rule-style',
+    'column-rule-color',
+  ],
+
+  overflow: ['overflow-x', 'overflow-y'],
+  'overscroll-behavior': ['overscroll-behavior-x', 'overscroll-behavior-y'],
+  'contain-intrinsic-size': [
+    'contain-intrinsic-width',
+    'contain-intrinsic-height',
+  ],
+  container: ['container-name', 'container-type'],
+  offset: [
+    'offset-position',
+    'offset-path',
+    'offset-distance',
+    'offset-rotate',
+    'offset-anchor',
+  ],
+  transition: [
+    'transition-property',
+    'transition-duration',
+    'transition-timing-function',
+    'transition-delay',
+    'transition-behavior',
+  ],
+  animation: [
+    'animation-name',
+    'animation-duration',
+    'animation-timing-function',
+    'animation-delay',
+    'animation-iteration-count',
+    'animation-direction',
+    'animation-fill-mode',
+    'animation-play-state',
+    'animation-timeline',
+  ],
+};
+
+/**
+ * Logical properties -> the physical properties they may map to. Which one
+ * depends on writing-mode and direction, so each stands for all of them.
+ */
+const LOGICAL_PROPERTIES = {
+  'inline-size': ['width', 'height'],
+  'block-size': ['width', 'height'],
+  'min-inline-size': ['min-width', 'min-height'],
+  'min-block-size': ['min-width', 'min-height'],
+  'max-inline-size': ['max-width', 'max-height'],
+  'max-block-size': ['max-width', 'max-height'],
+  'overflow-inline': ['overflow-x', 'overflow-y'],
+  'overflow-block': ['overflow-x', 'overflow-y'],
+  'overscroll-behavior-inline': [
+    'overscroll-behavior-x',
+    'overscroll-behavior-y',
+  ],
+  'overscroll-behavior-block': [
+    'overscroll-behavior-x',
+    'overscroll-behavior-y',
+  ],
+  'contain-intrinsic-inline-size': [
+    'contain-intrinsic-width',
+    'contain-intrinsic-height',
+  ],
+  'contain-intrinsic-block-size': [
+    'contain-intrinsic-width',
+    'contain-intrinsic-height',
+  ],
+};
+
+// `margin-inline-start`, `border-block-end-color`, `inset-inline-start`
+const LOGICAL_SIDE_PATTERN =
+  /^(.*?)-?(?:block|inline)-(?:start|end)(-[a-z]+)?$/;
+// `border-start-end-radius`
+const LOGICAL_CORNER_PATTERN = /^border-(?:start|end)-(?:start|end)-radius$/;
+
+const longhandCache = new Map();
+
+/**
+ * Longhands a property sets, vendor prefix removed
+ * `all` stands for every property but custom properties, direction and
+ * unicode-bidi; it is returned as ['all'].
+ * @param {string} property - Property name
+ * @returns {string[]}
+ */
+function getLonghands(property) {
+  if (property.startsWith('--')) return [property];
+
+  const name = property.toLowerCase().replace(/^-[a-z]+-/, '');
+  if (!longhandCache.has(name)) {
+    longhandCache.set(name, Array.from(new Set(expand(name))));
+  }
+  return longhandCache.get(name);
+}
+
+function expand(property) {
+  const name = ALIASES[property] || property;
+
+  if (SHORTHAND_PROPERTIES[name]) {
+    return SHORTHAND_PROPERTIES[name].flatMap(expand);
+  }
+  if (LOGICAL_PROPERTIES[name]) {
+    return LOGICAL_PROPERTIES[name];
+  }
+  if (LOGICAL_CORNER_PATTERN.test(name)) {
+    return CORNERS.map((corner) => `border-${corner}-radius`);
+  }
+
+  const logicalSide = name.match(LOGICAL_SIDE_PATTERN);
+  if (logicalSide) {
+    const [, prefix, suffix = ''] = logicalSide;
+    // The physical insets are plain `top`, `left`, ...
+    return SIDES.map((side) =>
+      prefix && prefix !== 'inset'
+        ? `${prefix}-${side}${suffix}`
+        : `${side}${suffix}`
+    );
+  }
+
+  return [name];
+}
+
+/**
+ * Check whether two properties set any value in common
+ */
+function propertiesOverlap(a, b) {
+  const set = new LonghandSet();
+  set.add(a);
+  return set.overlaps(b);
+}
+
+/**
+ * Longhands set by a group of declarations, for asking whether another
+ * property would touch any of them
+ */
+class LonghandSet {
+  constructor(properties = []) {
+    this.longhands = new Set();
+    this.all = false;
+    this.hasStandard = false;
+    for (const property of properties) this.add(property);
+  }
+
+  add(property) {
+    for (const longhand of getLonghands(property)) {
+      if (longhand === 'all') this.all = true;
+      else if (!isExemptFromAll(longhand)) this.hasStandard = true;
+      this.longhands.add(longhand);
+    }
+  }
+
+  overlaps(property) {
+    return getLonghands(property).some((longhand) => {
+      if (longhand === 'all') return this.all || this.hasStandard;
+      if (this.all && !isExemptFromAll(longhand)) return true;
+      return this.longhands.has(longhand);
+    });
+  }
+}
+
+// Properties `all` leaves alone
+function isExemptFromAll(longhand) {
+  return (
+    longhand.startsWith('--') ||
+    longhand === 'direction' ||
+    longhand === 'unicode-bidi'
+  );
+}
+
+module.exports = {
+  SHORTHAND_PROPERTIES,
+  getLonghands,
+  propertiesOverlap,
+  LonghandSet,
+};
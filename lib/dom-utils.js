@@ -1,5 +1,12 @@
 const { PERFORMANCE_CONFIG } = require('./constants');
 
+// Page global holding the nodes of the last above-fold scan
+const ABOVE_FOLD_NODES_KEY = '__criticalCssAboveFoldNodes';
+
+const GENERATED_CONTENT = /::?(before|after)(?![\w-])/;
+const IGNORED_PSEUDO =
+  /::?(?:first-line|first-letter)(?![\w-])|::[a-zA-Z-]+(?:\([^)]*\))?|:(?:hover|focus-within|focus-visible|focus|active|target)(?![\w-])/g;
+
 class DOMUtils {
   constructor(page, viewport) {
     this.page = page;
@@ -9,20 +16,40 @@ class DOMUtils {
   /**
    * Get all elements that are above the fold (visible in viewport with buffer)
    * Returns serializable element info with selectors generated in browser context
+   * Positions are taken relative to the top of the document, so a page
+   * scrolled by an interaction still reports what is above the fold on load;
+   * fixed and sticky elements (and their content) stay where the viewport
+   * shows them.
    */
   async getAboveFoldElements() {
     return await this.page.evaluate(
-      ({ viewport, buffer }) => {
+      ({ viewport, buffer, key }) => {
         const elements = [];
+        const aboveFoldNodes = [];
         const viewportHeight = viewport.height;
         const bufferZone = buffer;
+        // Elements that move with the viewport rather than the document
+        const pinned = new Map();
+
+        function isPinned(element) {
+          const { position } = window.getComputedStyle(element);
+          const pinnedElement =
+            position === 'fixed' ||
+            position === 'sticky' ||
+            pinned.get(element.parentElement) === true;
+          pinned.set(element, pinnedElement);
+          return pinnedElement;
+        }
 
         function isAboveFold(element) {
           const rect = element.getBoundingClientRect();
+          const scrollY = isPinned(element) ? 0 : window.scrollY;
+          const top = rect.top + scrollY;
+          const bottom = rect.bottom + scrollY;
 
           // Element is above fold if it intersects with viewport + buffer
           const isVisible =
-            rect.bottom > -bufferZone && rect.top < viewportHeight + bufferZone;
+            bottom > -bufferZone && top < viewportHeight + bufferZone;
 
           // Exclude elements that are completely hidden
           const isHidden = rect.width === 0 || rect.height === 0;
@@ -82,13 +109,64 @@ class DOMUtils {
           }
 
           if (isAboveFold(element)) {
+            aboveFoldNodes.push(element);
             elements.push(getElementInfo(element));
           }
         }
 
+        // Keep the nodes for matchSelectors (non-enumerable, replaced per scan)
+        Object.defineProperty(window, key, {
+          value: aboveFoldNodes,
+          configurable: true,
+        });
+
         return elements;
       },
-      { viewport: this.viewport, buffer: PERFORMANCE_CONFIG.ABOVE_FOLD_BUFFER }
+      {
+        viewport: this.viewport,
+        buffer: PERFORMANCE_CONFIG.ABOVE_FOLD_BUFFER,
+        key: ABOVE_FOLD_NODES_KEY,
+      }
+    );
+  }
+
+  /**
+   * Check which selectors match at least one node kept by
+   * getAboveFoldElements, using the browser's own element.matches()
+   * ::before/::after match only hosts where the pseudo-element renders
+   * (computed `content` other than none/normal). Other pseudo-elements and
+   * user-action pseudo-classes are ignored, so `.btn:hover` and
+   * `.btn:not(:hover)` match wherever `.btn` does (see toTestableSelector).
+   * Selectors the browser cannot parse are reported as matching, since they
+   * cannot be ruled out.
+   * @param {string[]} selectors - Single selectors (no selector lists)
+   * @returns {Promise<boolean[]>} - Match result per selector
+   */
+  async matchSelectors(selectors) {
+    return await this.page.evaluate(
+      ({ candidates, key }) => {
+        const nodes = window[key] || [];
+
+        const rendersPseudo = (node, pseudo) => {
+          const { content } = window.getComputedStyle(node, `::${pseudo}`);
+          return Boolean(content) && content !== 'none' && content !== 'normal';
+        };
+
+        return candidates.map(({ testable, pseudo }) => {
+          try {
+            return nodes.some(
+              (node) =>
+                node.matches(testable) && (!pseudo || rendersPseudo(node, pseudo))
+            );
+          } catch {
+            return true;
+          }
+        });
+      },
+      {
+        candidates: selectors.map(toTestableSelector),
+        key: ABOVE_FOLD_NODES_KEY,
+      }
     );
   }
 
@@ -299,4 +377,102 @@ class DOMUtils {
   }
 }
 
-module.exports = { DOMUtils };
+/**
+ * Rewrite a selector for element.matches() on its host element
+ * ::before/::after is split off (returned as `pseudo`), other pseudo-elements
+ * and user-action pseudo-classes become `:is(*)`, which keeps a compound valid
+ * when only a pseudo was left. Inside `:not()` an ignored pseudo would turn the
+ * negation into `:not(:is(*))`, which matches nothing, so the arguments that
+ * use one are dropped instead: `.a:not(:hover)` matches wherever `.a` does.
+ * @param {string} selector - Single selector (no selector list)
+ * @returns {Object} - { testable, pseudo: 'before' | 'after' | null }
+ */
+function toTestableSelector(selector) {
+  const pseudo = selector.match(GENERATED_CONTENT)?.[1] || null;
+  const testable = dropIgnoredNegations(selector)
+    .replace(GENERATED_CONTENT, ':is(*)')
+    .replace(IGNORED_PSEUDO, ':is(*)');
+  return { testable, pseudo };
+}
+
+/**
+ * Remove the `:not()` arguments that contain an ignored pseudo, replacing a
+ * negation left without arguments by `:is(*)`
+ */
+function dropIgnoredNegations(selector) {
+  let result = '';
+  let index = 0;
+
+  while (index < selector.length) {
+    const start = selector.toLowerCase().indexOf(':not(', index);
+    if (start === -1) break;
+
+    const end = findClosingParen(selector, start + ':not('.length);
+    if (end === -1) break;
+
+    const kept = splitTopLevel(selector.slice(start + ':not('.length, end))
+      .filter((argument) => !hasIgnoredPseudo(argument))
+      .map((argument) => dropIgnoredNegations(argument.trim()));
+
+    result += selector.slice(index, start);
+    result += kept.length > 0 ? `:not(${kept.join(', ')})` : ':is(*)';
+    index = end + 1;
+  }
+
+  return result + selector.slice(index);
+}
+
+function hasIgnoredPseudo(selector) {
+  return (
+    selector.search(IGNORED_PSEUDO) !== -1 || GENERATED_CONTENT.test(selector)
+  );
+}
+
+// Index of the `)` closing the group opened just before `from`, or -1
+function findClosingParen(selector, from) {
+  let depth = 1;
+  let quote = null;
+
+  for (let index = from; index < selector.length; index++) {
+    const char = selector[index];
+    if (char === '\\') index++;
+    else if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") quote = char;
+    else if (char === '(') depth++;
+    else if (char === ')' && --depth === 0) return index;
+  }
+  return -1;
+}
+
+// Split on commas outside parentheses, brackets and strings
+function splitTopLevel(list) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (let index = 0; index < list.length; index++) {
+    const char = list[index];
+    if (char === '\\') {
+      current += char + (list[index + 1] || '');
+      index++;
+      continue;
+    }
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") quote = char;
+    else if (char === '(' || char === '[') depth++;
+    else if (char === ')' || char === ']') depth--;
+    else if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+module.exports = { DOMUtils, toTestableSelector };
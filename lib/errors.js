@@ -49,10 +49,50 @@ class ValidationError extends CriticalExtractionError {
   }
 }
 
+/**
+ * Error for extractions refused because too many are already waiting
+ */
+class QueueFullError extends CriticalExtractionError {
+  constructor(message, cause) {
+    super(message, cause);
+    this.name = 'QueueFullError';
+  }
+}
+
+/**
+ * Convert an error into a JSON-safe failure description
+ * Known extraction errors keep their class name; anything else is reported
+ * as an internal error without leaking its message
+ * @param {Error} error - Error to describe
+ * @returns {Object} { name, message, retryable, cause? }
+ */
+function serializeError(error) {
+  if (!(error instanceof CriticalExtractionError)) {
+    return {
+      name: 'InternalError',
+      message: 'An unexpected error occurred',
+      retryable: false,
+    };
+  }
+
+  return {
+    name: error.name,
+    message: error.message,
+    // Timeouts, network failures and a full queue are often transient
+    retryable:
+      error instanceof TimeoutError ||
+      error instanceof NetworkError ||
+      error instanceof QueueFullError,
+    cause: error.cause?.message,
+  };
+}
+
 module.exports = {
+  serializeError,
   CriticalExtractionError,
   TimeoutError,
   RenderingError,
   NetworkError,
   ValidationError,
+  QueueFullError,
 };
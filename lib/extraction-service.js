@@ -0,0 +1,876 @@
+const { CriticalCSSExtractor } = require('./extractor');
+const { StylesheetFetcher } = require('./stylesheet-fetcher');
+const { BrowserPool } = require('./browser-pool');
+const { PageDiscovery } = require('./page-discovery');
+const { JobQueue } = require('./job-queue');
+const { HTMLInliner, DEFER_STRATEGIES } = require('./html-inliner');
+const {
+  SELECTOR_MATCHING_MODES,
+  CUSTOM_PROPERTY_MODES,
+  URL_REWRITE_MODES,
+} = require('./css-parser');
+const {
+  validatePropertyPolicy,
+  resolvePropertyPolicy,
+} = require('./property-policy');
+const { mapWithConcurrency } = require('./async-utils');
+const { trackPhase } = require('./progress');
+const { validateViewport, resolveViewports } = require('./viewports');
+const { validateActions } = require('./actions');
+const { validateWaitStrategies } = require('./wait-strategies');
+const { validateAuth } = require('./auth');
+const {
+  PERFORMANCE_CONFIG,
+  EXTRACTION_PHASES,
+  CRAWL_CONFIG,
+} = require('./constants');
+const {
+  ValidationError,
+  QueueFullError,
+  CriticalExtractionError,
+} = require('./errors');
+
+// Process-wide stylesheet cache shared by every extraction
+const sharedStylesheetFetcher = new StylesheetFetcher();
+
+// Process-wide browsers shared by every extraction (sizes from the environment)
+const sharedBrowserPool = new BrowserPool({
+  size: parseInt(process.env.BROWSER_POOL_SIZE, 10) || undefined,
+  maxPagesPerBrowser:
+    parseInt(process.env.BROWSER_POOL_MAX_PAGES, 10) || undefined,
+  maxConcurrentPages:
+    parseInt(process.env.BROWSER_POOL_CONCURRENCY, 10) || undefined,
+});
+
+// Extraction slots shared by queued jobs and the synchronous endpoints
+const sharedJobQueue = new JobQueue();
+
+// Document URL for raw HTML input without a baseUrl (.invalid never resolves)
+const HTML_INPUT_URL = 'https://html-input.invalid/';
+
+/**
+ * Validate a page URL
+ * @param {*} value - Value to validate
+ * @returns {string|null} - Error message or null if valid
+ */
+function validateUrl(value) {
+  if (!value || typeof value !== 'string') {
+    return 'URL is required and must be a string';
+  }
+
+  // Validate URL format
+  try {
+    // Check if URL is accessible (http/https)
+    const url = new URL(value);
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return 'URL must use HTTP or HTTPS protocol';
+    }
+  } catch {
+    return 'URL is not valid';
+  }
+
+  return null;
+}
+
+/**
+ * Validate the extraction options shared by single and batch requests
+ * @param {Object} body - Request body
+ * @returns {string[]} - Error messages
+ */
+function validateExtractionOptions(body) {
+  const errors = [];
+
+  // Validate viewport option (preset name, viewport object or list)
+  errors.push(...validateViewport(body.viewport));
+
+  if (
+    body.breakpoints !== undefined &&
+    !(
+      Array.isArray(body.breakpoints) &&
+      body.breakpoints.every(
+        (breakpoint) => Number.isInteger(breakpoint) && breakpoint > 0
+      )
+    )
+  ) {
+    errors.push('breakpoints must be an array of positive integers (px)');
+  }
+
+  // Validate boolean options
+  if (
+    body.includeShadows !== undefined &&
+    typeof body.includeShadows !== 'boolean'
+  ) {
+    errors.push('includeShadows must be a boolean');
+  }
+
+  if (
+    body.includeAnimations !== undefined &&
+    typeof body.includeAnimations !== 'boolean'
+  ) {
+    errors.push('includeAnimations must be a boolean');
+  }
+
+  for (const option of ['includeTransitions', 'includeHoverStates']) {
+    if (body[option] !== undefined && typeof body[option] !== 'boolean') {
+      errors.push(`${option} must be a boolean`);
+    }
+  }
+
+  if (
+    body.includeRemainder !== undefined &&
+    typeof body.includeRemainder !== 'boolean'
+  ) {
+    errors.push('includeRemainder must be a boolean');
+  }
+
+  if (body.userAgent !== undefined && typeof body.userAgent !== 'string') {
+    errors.push('userAgent must be a string');
+  }
+
+  errors.push(...validatePropertyPolicy(body.propertyPolicy));
+  errors.push(...validateActions(body.actions));
+  errors.push(...validateWaitStrategies(body.waitFor));
+  errors.push(...validateAuth(body.auth));
+
+  // Only queued jobs report back; the other endpoints answer with the result
+  if (body.callbackUrl !== undefined) {
+    errors.push(
+      'callbackUrl is only supported by POST /api/jobs; queue the extraction as a job to receive a webhook'
+    );
+  }
+
+  if (
+    body.selectorMatching !== undefined &&
+    !SELECTOR_MATCHING_MODES.includes(body.selectorMatching)
+  ) {
+    errors.push(
+      `selectorMatching must be one of: ${SELECTOR_MATCHING_MODES.join(', ')}`
+    );
+  }
+
+  if (
+    body.customProperties !== undefined &&
+    !CUSTOM_PROPERTY_MODES.includes(body.customProperties)
+  ) {
+    errors.push(
+      `customProperties must be one of: ${CUSTOM_PROPERTY_MODES.join(', ')}`
+    );
+  }
+
+  if (
+    body.urlRewrite !== undefined &&
+    !URL_REWRITE_MODES.includes(body.urlRewrite)
+  ) {
+    errors.push(`urlRewrite must be one of: ${URL_REWRITE_MODES.join(', ')}`);
+  }
+
+  if (
+    body.urlBasePath !== undefined &&
+    (typeof body.urlBasePath !== 'string' || !body.urlBasePath.startsWith('/'))
+  ) {
+    errors.push('urlBasePath must be a path starting with /');
+  }
+
+  // Validate output options
+  if (body.output !== undefined && !['css', 'html'].includes(body.output)) {
+    errors.push('output must be one of: css, html');
+  }
+
+  if (
+    body.deferStrategy !== undefined &&
+    !DEFER_STRATEGIES.includes(body.deferStrategy)
+  ) {
+    errors.push(`deferStrategy must be one of: ${DEFER_STRATEGIES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate extraction request body
+ * Accepts either a live `url` or raw `html` with optional `css` and `baseUrl`
+ * @param {Object} body - Request body
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+function validateExtractionRequest(body) {
+  const errors = [];
+
+  if (body.html !== undefined) {
+    // Raw HTML input
+    if (body.url !== undefined) {
+      errors.push('Provide either url or html, not both');
+    }
+
+    if (typeof body.html !== 'string' || !body.html.trim()) {
+      errors.push('html must be a non-empty string');
+    }
+
+    if (body.baseUrl !== undefined) {
+      const urlError = validateUrl(body.baseUrl);
+      if (urlError) {
+        errors.push(`baseUrl: ${urlError}`);
+      }
+    }
+
+    if (
+      body.css !== undefined &&
+      typeof body.css !== 'string' &&
+      !(
+        Array.isArray(body.css) &&
+        body.css.every((css) => typeof css === 'string')
+      )
+    ) {
+      errors.push('css must be a string or an array of strings');
+    }
+  } else {
+    // Check required fields
+    const urlError = validateUrl(body.url);
+    if (urlError) {
+      errors.push(urlError);
+    }
+
+    if (body.css !== undefined || body.baseUrl !== undefined) {
+      errors.push('css and baseUrl are only supported together with html');
+    }
+  }
+
+  errors.push(...validateExtractionOptions(body));
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Reject the raw document fields of single-page requests, which batch and
+ * crawl requests would otherwise silently ignore
+ * @param {Object} body - Request body
+ * @returns {string[]} - Validation errors
+ */
+function validateNoRawDocument(body) {
+  return ['html', 'css', 'baseUrl']
+    .filter((field) => body[field] !== undefined)
+    .map(
+      (field) =>
+        `${field} is only supported for single-page extractions; send each document to POST /api/extract`
+    );
+}
+
+/**
+ * Validate batch extraction request body
+ * @param {Object} body - Request body
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+function validateBatchRequest(body) {
+  const errors = [];
+
+  if (!Array.isArray(body.urls) || body.urls.length === 0) {
+    errors.push('urls is required and must be a non-empty array');
+  } else if (body.urls.length > PERFORMANCE_CONFIG.MAX_BATCH_SIZE) {
+    errors.push(
+      `urls must contain at most ${PERFORMANCE_CONFIG.MAX_BATCH_SIZE} entries`
+    );
+  } else {
+    body.urls.forEach((url, index) => {
+      const urlError = validateUrl(url);
+      if (urlError) {
+        errors.push(`urls[${index}]: ${urlError}`);
+      }
+    });
+  }
+
+  errors.push(...validateNoRawDocument(body));
+  errors.push(...validateExtractionOptions(body));
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validate crawl extraction request body
+ * @param {Object} body - Request body
+ * @returns {Object} { isValid: boolean, errors: string[] }
+ */
+function validateCrawlRequest(body) {
+  const errors = [];
+
+  if (Boolean(body.sitemapUrl) === Boolean(body.startUrl)) {
+    errors.push('Exactly one of sitemapUrl or startUrl is required');
+  } else {
+    const urlError = validateUrl(body.sitemapUrl || body.startUrl);
+    if (urlError) {
+      errors.push(`${body.sitemapUrl ? 'sitemapUrl' : 'startUrl'}: ${urlError}`);
+    }
+  }
+
+  if (
+    body.maxDepth !== undefined &&
+    (!Number.isInteger(body.maxDepth) ||
+      body.maxDepth < 0 ||
+      body.maxDepth > CRAWL_CONFIG.MAX_DEPTH)
+  ) {
+    errors.push(
+      `maxDepth must be an integer between 0 and ${CRAWL_CONFIG.MAX_DEPTH}`
+    );
+  }
+
+  if (
+    body.maxPages !== undefined &&
+    (!Number.isInteger(body.maxPages) ||
+      body.maxPages < 1 ||
+      body.maxPages > PERFORMANCE_CONFIG.MAX_BATCH_SIZE)
+  ) {
+    errors.push(
+      `maxPages must be an integer between 1 and ${PERFORMANCE_CONFIG.MAX_BATCH_SIZE}`
+    );
+  }
+
+  if (
+    body.similarityThreshold !== undefined &&
+    (typeof body.similarityThreshold !== 'number' ||
+      body.similarityThreshold < 0 ||
+      body.similarityThreshold > 1)
+  ) {
+    errors.push('similarityThreshold must be a number between 0 and 1');
+  }
+
+  errors.push(...validateNoRawDocument(body));
+  errors.push(...validateExtractionOptions(body));
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Map an extraction error to an HTTP status and response fields
+ * @param {Error} error - Error thrown during extraction
+ * @returns {Object} { status: number, error: string, message: string }
+ */
+function describeExtractionError(error) {
+  if (error instanceof ValidationError) {
+    return {
+      status: 400,
+      error: 'Validation error',
+      message: error.message,
+    };
+  } else if (error instanceof QueueFullError) {
+    return {
+      status: 503,
+      error: 'Service unavailable',
+      message: error.message,
+    };
+  } else if (error instanceof CriticalExtractionError) {
+    return {
+      status: 500,
+      error: 'Extraction failed',
+      message: error.message,
+    };
+  }
+
+  return {
+    status: 500,
+    error: 'Internal server error',
+    message: 'An unexpected error occurred',
+  };
+}
+
+/**
+ * Create an extractor backed by the shared stylesheet cache and browser pool
+ * @returns {CriticalCSSExtractor}
+ */
+function createExtractor() {
+  return new CriticalCSSExtractor({
+    stylesheetFetcher: sharedStylesheetFetcher,
+    browserPool: sharedBrowserPool,
+  });
+}
+
+/**
+ * State of the shared browser pool, for the health endpoint
+ * @returns {Object} - BrowserPool.getStats()
+ */
+function getBrowserPoolStats() {
+  return sharedBrowserPool.getStats();
+}
+
+/**
+ * Close the shared browsers, e.g. before the process exits
+ * @returns {Promise<void>}
+ */
+function closeBrowserPool() {
+  return sharedBrowserPool.close();
+}
+
+/**
+ * How many URLs of a batch to extract at once
+ * Every URL opens a page per viewport, so the URLs in flight are limited to
+ * what the pool can serve together; more would only queue for a browser and
+ * risk its acquire timeout.
+ * @param {*} viewport - Validated `viewport` field
+ * @returns {number}
+ */
+function getBatchConcurrency(viewport) {
+  const pagesPerUrl = resolveViewports(viewport).length;
+  return Math.max(
+    1,
+    Math.min(
+      PERFORMANCE_CONFIG.MAX_CONCURRENT_EXTRACTIONS,
+      Math.floor(sharedBrowserPool.maxConcurrentPages / pagesPerUrl)
+    )
+  );
+}
+
+/**
+ * Shape remainder CSS for the response (undefined when not requested)
+ * @param {string|undefined} css - Remainder CSS
+ * @returns {Object|undefined} { css: string, size: number }
+ */
+function describeRemainder(css) {
+  if (css === undefined) return undefined;
+
+  return {
+    css,
+    size: css.length,
+  };
+}
+
+/**
+ * Inline critical CSS into captured page HTML for the `html` output mode
+ * @param {Object} body - Validated request body
+ * @param {Object} page - { html, criticalCSS, fontPreloads }
+ * @returns {Object} { content: string, size: number }
+ */
+function buildInlinedHtml(body, { html, criticalCSS, fontPreloads }) {
+  const inliner = new HTMLInliner({ deferStrategy: body.deferStrategy });
+  const content = inliner.inline(html, { criticalCSS, fontPreloads });
+
+  return {
+    content,
+    size: content.length,
+  };
+}
+
+/**
+ * Run an extraction for a validated request body and build the response payload
+ * @param {Object} body - Validated request body
+ * @param {Object} hooks - Optional callbacks and resources
+ * @param {Function} hooks.onProgress - Receives progress events (lib/progress.js)
+ * @param {CriticalCSSExtractor} hooks.extractor - Extractor to reuse (not closed)
+ * @returns {Promise<Object>} - Response payload (without processingTime)
+ */
+async function runExtraction(body, hooks = {}) {
+  const startTime = Date.now();
+  const {
+    viewport = 'both',
+    includeShadows = false,
+    userAgent,
+    html,
+    breakpoints,
+    selectorMatching,
+    includeAnimations = false,
+    includeTransitions = false,
+    includeHoverStates = false,
+    propertyPolicy,
+    customProperties,
+    urlRewrite,
+    urlBasePath,
+    actions,
+    waitFor,
+    auth,
+  } = body;
+  const { onProgress } = hooks;
+  const captureHtml = body.output === 'html';
+  const includeRemainder = body.includeRemainder === true;
+
+  // Raw HTML is rendered as if it lived at baseUrl
+  const isHtmlInput = html !== undefined;
+  const url = isHtmlInput ? body.baseUrl || HTML_INPUT_URL : body.url;
+  const source = isHtmlInput ? { html, css: body.css } : {};
+
+  // Create extractor instance unless the caller shares one
+  const extractor = hooks.extractor || createExtractor();
+
+  try {
+    if (viewport === 'both') {
+      // Extract for both mobile and desktop
+      const result = await extractor.extractForBothViewports(url, {
+        includeShadows,
+        includeAnimations,
+        includeTransitions,
+        includeHoverStates,
+        propertyPolicy,
+        userAgent,
+        ...source,
+        captureHtml,
+        includeRemainder,
+        customProperties,
+        selectorMatching,
+        urlRewrite,
+        urlBasePath,
+        actions,
+        waitFor,
+        auth,
+        breakpoints,
+        onProgress,
+      });
+
+      // Log extraction metrics
+      console.log(
+        `Extraction completed for ${url} in ${Date.now() - startTime}ms`
+      );
+      console.log(
+        `Mobile CSS: ${result.mobile.size} bytes, Desktop CSS: ${result.desktop.size} bytes`
+      );
+
+      return {
+        success: true,
+        url: isHtmlInput ? body.baseUrl || null : url,
+        viewport: 'both',
+        propertyPolicy: resolvePropertyPolicy(propertyPolicy),
+        mobile: {
+          css: result.mobile.criticalCSS,
+          size: result.mobile.size,
+          extractionTime: result.mobile.extractionTime,
+          remainder: describeRemainder(result.mobile.remainderCSS),
+          minification: result.mobile.minification,
+          wait: result.mobile.wait,
+        },
+        desktop: {
+          css: result.desktop.criticalCSS,
+          size: result.desktop.size,
+          extractionTime: result.desktop.extractionTime,
+          remainder: describeRemainder(result.desktop.remainderCSS),
+          minification: result.desktop.minification,
+          wait: result.desktop.wait,
+        },
+        combined: {
+          css: result.combined,
+          size: result.combined.length,
+          layers: result.layers,
+          // Desktop-only rules are media-wrapped in the combined CSS, so only
+          // the mobile critical rules may be removed from the full sheets
+          remainder: describeRemainder(result.mobile.remainderCSS),
+        },
+        html: captureHtml
+          ? buildInlinedHtml(body, {
+              // Mobile-first: the combined CSS is built on the mobile render
+              html: result.mobile.html,
+              criticalCSS: result.combined,
+              fontPreloads: [
+                ...result.mobile.fontPreloads,
+                ...result.desktop.fontPreloads,
+              ],
+            })
+          : undefined,
+      };
+    }
+
+    const viewports = resolveViewports(viewport);
+
+    if (Array.isArray(viewport)) {
+      // Extract for every listed viewport
+      const results = await extractor.extractForViewports(url, viewports, {
+        includeShadows,
+        includeAnimations,
+        includeTransitions,
+        includeHoverStates,
+        propertyPolicy,
+        userAgent,
+        ...source,
+        captureHtml,
+        includeRemainder,
+        customProperties,
+        selectorMatching,
+        urlRewrite,
+        urlBasePath,
+        actions,
+        waitFor,
+        auth,
+        onProgress,
+      });
+
+      // Mobile-first: the narrowest viewport is the unconditional base
+      const combined = extractor.combineViewportCSS(results, {
+        breakpoints,
+        includeShadows,
+        includeAnimations,
+        includeTransitions,
+        includeHoverStates,
+        propertyPolicy,
+      });
+      const base = results.reduce((narrowest, result) =>
+        result.viewport.width < narrowest.viewport.width ? result : narrowest
+      );
+
+      console.log(
+        `Extraction completed for ${url} (${viewports.length} viewports) in ${Date.now() - startTime}ms`
+      );
+
+      return {
+        success: true,
+        url: isHtmlInput ? body.baseUrl || null : url,
+        viewport: viewports.map((config) => config.name),
+        propertyPolicy: resolvePropertyPolicy(propertyPolicy),
+        viewports: results.map((result, index) => ({
+          ...viewports[index],
+          css: result.criticalCSS,
+          size: result.size,
+          extractionTime: result.extractionTime,
+          remainder: describeRemainder(result.remainderCSS),
+          minification: result.minification,
+          wait: result.wait,
+        })),
+        combined: {
+          css: combined.css,
+          size: combined.css.length,
+          layers: combined.layers,
+          // Only the base layer is unconditional in the combined CSS
+          remainder: describeRemainder(base.remainderCSS),
+        },
+        html: captureHtml
+          ? buildInlinedHtml(body, {
+              html: base.html,
+              criticalCSS: combined.css,
+              fontPreloads: results.flatMap((result) => result.fontPreloads),
+            })
+          : undefined,
+      };
+    }
+
+    // Extract for specific viewport
+    const singleResult = await extractor.extractCriticalCSS({
+      url,
+      viewport: viewports[0],
+      includeShadows,
+      includeAnimations,
+      includeTransitions,
+      includeHoverStates,
+      propertyPolicy,
+      userAgent,
+      ...source,
+      captureHtml,
+      includeRemainder,
+      customProperties,
+      selectorMatching,
+      urlRewrite,
+      urlBasePath,
+      actions,
+      waitFor,
+      auth,
+      onProgress,
+    });
+
+    // Validate extraction result
+    const validation = extractor.validateExtraction(singleResult);
+
+    // Log extraction metrics
+    console.log(
+      `Extraction completed for ${url} (${viewports[0].name}) in ${Date.now() - startTime}ms`
+    );
+    console.log(`CSS size: ${singleResult.size} bytes`);
+
+    return {
+      success: true,
+      url: isHtmlInput ? body.baseUrl || null : url,
+      viewport: typeof viewport === 'string' ? viewport : viewports[0],
+      propertyPolicy: resolvePropertyPolicy(propertyPolicy),
+      css: singleResult.criticalCSS,
+      size: singleResult.size,
+      extractionTime: singleResult.extractionTime,
+      validation,
+      remainder: describeRemainder(singleResult.remainderCSS),
+      minification: singleResult.minification,
+      wait: singleResult.wait,
+      html: captureHtml
+        ? buildInlinedHtml(body, {
+            html: singleResult.html,
+            criticalCSS: singleResult.criticalCSS,
+            fontPreloads: singleResult.fontPreloads,
+          })
+        : undefined,
+    };
+  } finally {
+    // Clean up extractor resources we own
+    if (!hooks.extractor) {
+      await extractor.close();
+    }
+  }
+}
+
+/**
+ * Run extractions for a validated batch request using one shared extractor
+ * Failures are reported per URL and never abort the rest of the batch
+ * @param {Object} body - Validated batch request body
+ * @param {Object} hooks - Optional callbacks and resources
+ * @param {Function} hooks.onProgress - Receives progress events (lib/progress.js)
+ * @param {CriticalCSSExtractor} hooks.extractor - Extractor to reuse (not closed)
+ * @returns {Promise<Object>} - Batch response payload (without processingTime)
+ */
+async function runBatchExtraction(body, hooks = {}) {
+  const { urls, ...sharedOptions } = body;
+  const uniqueUrls = Array.from(new Set(urls));
+
+  // One extractor for the whole batch; its pages run on the shared browser pool
+  const extractor = hooks.extractor || createExtractor();
+  let results;
+
+  try {
+    const concurrency = getBatchConcurrency(sharedOptions.viewport);
+    console.log(
+      `Starting batch extraction of ${uniqueUrls.length} URL(s), ${concurrency} at a time`
+    );
+    results = await mapWithConcurrency(
+      uniqueUrls,
+      concurrency,
+      async (url) => {
+        const startTime = Date.now();
+
+        try {
+          const result = await runExtraction(
+            { ...sharedOptions, url },
+            { onProgress: hooks.onProgress, extractor }
+          );
+          return {
+            ...result,
+            processingTime: Date.now() - startTime,
+          };
+        } catch (error) {
+          console.error(`Batch extraction failed for ${url}:`, error);
+          const { error: errorLabel, message } =
+            describeExtractionError(error);
+          return {
+            success: false,
+            url,
+            error: errorLabel,
+            message,
+            processingTime: Date.now() - startTime,
+          };
+        }
+      }
+    );
+  } finally {
+    if (!hooks.extractor) {
+      await extractor.close();
+    }
+  }
+
+  const succeeded = results.filter((result) => result.success).length;
+  console.log(
+    `Batch extraction finished: ${succeeded}/${results.length} succeeded`
+  );
+
+  return {
+    success: true,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results,
+    cache: sharedStylesheetFetcher.getCacheStats(),
+  };
+}
+
+/**
+ * Discover pages from a sitemap or crawl, group them by template and
+ * extract critical CSS once per template
+ * @param {Object} body - Validated crawl request body
+ * @param {Object} hooks - Optional callbacks
+ * @param {Function} hooks.onProgress - Receives progress events (lib/progress.js)
+ * @returns {Promise<Object>} - Crawl response payload (without processingTime)
+ */
+async function runCrawlExtraction(body, hooks = {}) {
+  const {
+    sitemapUrl,
+    startUrl,
+    maxDepth,
+    maxPages,
+    similarityThreshold,
+    ...sharedOptions
+  } = body;
+
+  const extractor = createExtractor();
+
+  try {
+    const discovery = new PageDiscovery(extractor.renderer, {
+      maxDepth,
+      maxPages,
+      similarityThreshold,
+      userAgent: sharedOptions.userAgent,
+      auth: sharedOptions.auth,
+    });
+
+    // Discover pages and group them by DOM structure
+    const { snapshots, templates } = await trackPhase(
+      hooks.onProgress,
+      EXTRACTION_PHASES.DISCOVERY,
+      async () => {
+        const pages = sitemapUrl
+          ? (
+              await discovery.snapshotPages(
+                await discovery.discoverFromSitemap(sitemapUrl)
+              )
+            ).filter(Boolean)
+          : await discovery.crawl(startUrl);
+
+        // An empty crawl has nothing to extract; report it instead of success
+        if (pages.length === 0) {
+          throw new ValidationError(
+            `No pages could be discovered from ${sitemapUrl || startUrl}`
+          );
+        }
+
+        return {
+          snapshots: pages,
+          templates: discovery.groupByTemplate(pages),
+        };
+      },
+      (output) => ({
+        pages: output.snapshots.length,
+        templates: output.templates.length,
+      })
+    );
+    console.log(
+      `Discovered ${snapshots.length} page(s) in ${templates.length} template group(s)`
+    );
+
+    // Extract once per template using its representative page
+    const batch = await runBatchExtraction(
+      {
+        ...sharedOptions,
+        urls: templates.map((template) => template.representativeUrl),
+      },
+      { onProgress: hooks.onProgress, extractor }
+    );
+
+    return {
+      success: true,
+      source: sitemapUrl
+        ? { type: 'sitemap', url: sitemapUrl }
+        : { type: 'crawl', url: startUrl },
+      pagesDiscovered: snapshots.length,
+      templates: templates.map((template, index) => ({
+        ...template,
+        result: batch.results[index],
+      })),
+    };
+  } finally {
+    await extractor.close();
+  }
+}
+
+module.exports = {
+  validateExtractionRequest,
+  validateBatchRequest,
+  validateCrawlRequest,
+  describeExtractionError,
+  runExtraction,
+  runBatchExtraction,
+  runCrawlExtraction,
+  getBrowserPoolStats,
+  closeBrowserPool,
+  jobQueue: sharedJobQueue,
+};
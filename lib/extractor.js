@@ -1,12 +1,23 @@
-const { VIEWPORTS, PERFORMANCE_CONFIG } = require('./constants');
+const { PERFORMANCE_CONFIG, EXTRACTION_PHASES } = require('./constants');
 const { CriticalExtractionError } = require('./errors');
-const { PlaywrightRenderer } = require('./playwright-renderer');
+const { trackPhase } = require('./progress');
+const { mapWithConcurrency } = require('./async-utils');
+const { resolveViewports } = require('./viewports');
+const { resolveWaitStrategies } = require('./wait-strategies');
+const {
+  PlaywrightRenderer,
+  joinStylesheetSources,
+} = require('./playwright-renderer');
 const { CSSParser } = require('./css-parser');
+const { CSSMinifier } = require('./css-minifier');
 const { FontHandler } = require('./font-handler');
 
 class CriticalCSSExtractor {
-  constructor() {
-    this.renderer = new PlaywrightRenderer();
+  constructor(options = {}) {
+    this.renderer = new PlaywrightRenderer({
+      stylesheetFetcher: options.stylesheetFetcher,
+      browserPool: options.browserPool,
+    });
     this.cssParser = new CSSParser();
   }
 
@@ -15,9 +26,19 @@ class CriticalCSSExtractor {
    */
   async extractCriticalCSS(options) {
     const startTime = Date.now();
+    const cssParser = this.createParser(options);
     let renderingContext = null;
     const contextId = `${options.url}-${options.viewport.width}x${options.viewport.height}`;
 
+    // Tag progress events with the viewport so parallel extractions can be told apart
+    const onProgress = options.onProgress
+      ? (event) =>
+          options.onProgress({
+            ...event,
+            viewport: `${options.viewport.width}x${options.viewport.height}`,
+          })
+      : undefined;
+
     try {
       console.log(
         `Starting extraction for ${options.url} with viewport ${options.viewport.width}x${options.viewport.height}`
@@ -26,12 +47,152 @@ class CriticalCSSExtractor {
       // Create rendering context
       renderingContext = await this.renderer.createContext(options);
 
-      // Load page and wait for LCP stabilization
-      await this.renderer.loadPage(renderingContext, options.url, options);
+      // Load page and wait until it is ready (LCP or the requested strategies)
+      const { wait } = await this.renderer.loadPage(
+        renderingContext,
+        options.url,
+        {
+          ...options,
+          waitFor: resolveWaitStrategies(options.waitFor),
+          onProgress,
+        }
+      );
 
-      // Get above-fold elements
-      const aboveFoldElements =
-        await renderingContext.domUtils.getAboveFoldElements();
+      // Capture the document before interactions change it
+      let html;
+      if (options.captureHtml) {
+        const pageData = await this.renderer.extractPageData(renderingContext);
+        html = pageData.doctype + pageData.html;
+      }
+
+      // Get every stylesheet of the page in cascade order (external ones via
+      // HTTP); sheets that actions add are collected when their state is scanned
+      const seenSources = new Set();
+      const collectNewSources = async () => {
+        const sources = await this.renderer.getStylesheetSources(
+          renderingContext,
+          options.url
+        );
+        const newSources = sources.filter((source) => {
+          const key = `${JSON.stringify(source.conditions)}|${
+            source.url || source.css
+          }`;
+          if (seenSources.has(key)) return false;
+          seenSources.add(key);
+          return true;
+        });
+        // Make url() references independent of the sheet they came from
+        return newSources.map((source) => ({
+          ...source,
+          css: cssParser.rewriteUrls(source.css, source.baseUrl, {
+            mode: options.urlRewrite,
+            pageUrl: options.url,
+            basePath: options.urlBasePath,
+          }),
+        }));
+      };
+      const cssSources = await trackPhase(
+        onProgress,
+        EXTRACTION_PHASES.CSS_FETCH,
+        collectNewSources,
+        (sources) => ({
+          sheets: sources.length,
+          bytes: sources.reduce((total, source) => total + source.css.length, 0),
+        })
+      );
+      let allCSS = joinStylesheetSources(cssSources);
+      console.log(`Retrieved ${allCSS.length} characters of CSS`);
+
+      if (allCSS.length === 0) {
+        console.warn('No CSS found on page - this might be a CORS issue');
+      } else {
+        // Log a sample of the CSS to debug
+        console.log('CSS sample:', allCSS.substring(0, 200));
+      }
+
+      // Parse CSS into rules
+      const cssRules = await trackPhase(
+        onProgress,
+        EXTRACTION_PHASES.PARSE,
+        () => cssParser.parseSources(cssSources),
+        (rules) => ({ parsedRules: rules.length })
+      );
+      console.log(`Parsed ${cssRules.length} CSS rules`);
+
+      // Selectors are checked in the page in every state, since an action can
+      // change what they match (`.menu.open .item`): all of them with browser
+      // matching, the ones tokens cannot judge (::before, :nth-child()) with
+      // token matching.
+      const browserMatching = options.selectorMatching === 'browser';
+      const selectors = [];
+      const addSelectors = (rules) => {
+        const known = new Set(selectors);
+        for (const selector of this.getMatchableSelectors(rules)) {
+          if (
+            !known.has(selector) &&
+            (browserMatching || cssParser.needsBrowserCheck(selector))
+          ) {
+            selectors.push(selector);
+          }
+        }
+      };
+      addSelectors(cssRules);
+
+      // Stylesheets added by an action (lazy widgets, injected styles) are
+      // appended after the page's own, in the order they appeared
+      const addActionStylesheets = async () => {
+        const added = (await collectNewSources()).map((source, index) => ({
+          ...source,
+          index: cssSources.length + index,
+        }));
+        if (added.length === 0) return;
+
+        const rules = cssParser.parseSources(added);
+        cssSources.push(...added);
+        cssRules.push(...rules);
+        addSelectors(rules);
+        allCSS = joinStylesheetSources(cssSources);
+        console.log(
+          `Actions added ${added.length} stylesheet(s) with ${rules.length} CSS rules`
+        );
+      };
+
+      const matchedSelectors = new Set();
+      let scannedStates = 0;
+      const scanState = async () => {
+        if (scannedStates++ > 0) await addActionStylesheets();
+        const elements = await renderingContext.domUtils.getAboveFoldElements();
+        if (selectors.length > 0) {
+          await this.matchSelectorsInBrowser(
+            renderingContext,
+            selectors,
+            matchedSelectors
+          );
+        }
+        return elements;
+      };
+
+      // Run scripted interactions, scanning the initial state and the one
+      // after each action
+      const actions = options.actions || [];
+      let interactionStates = [];
+      if (actions.length > 0) {
+        interactionStates = await trackPhase(
+          onProgress,
+          EXTRACTION_PHASES.ACTIONS,
+          () => this.renderer.runActions(renderingContext, actions, scanState),
+          (states) => ({ actions: actions.length, states: states.length })
+        );
+      }
+
+      // Get above-fold elements, merged across the states actions went through
+      const aboveFoldElements = await trackPhase(
+        onProgress,
+        EXTRACTION_PHASES.ABOVE_FOLD,
+        async () =>
+          actions.length > 0 ? interactionStates.flat() : await scanState(),
+        (elements) => ({ aboveFoldElements: elements.length })
+      );
       console.log(`Found ${aboveFoldElements.length} above-fold elements`);
 
       // Collect selectors from above-fold elements
@@ -62,49 +223,79 @@ class CriticalCSSExtractor {
       const selectorSample = Array.from(aboveFoldSelectors).slice(0, 10);
       console.log('Selector sample:', selectorSample);
 
-      // Get all CSS from the page (including external stylesheets via HTTP)
-      const allCSS = await this.renderer.getAllCSS(renderingContext, options.url);
-      console.log(`Retrieved ${allCSS.length} characters of CSS`);
-
-      if (allCSS.length === 0) {
-        console.warn('No CSS found on page - this might be a CORS issue');
-      } else {
-        // Log a sample of the CSS to debug
-        console.log('CSS sample:', allCSS.substring(0, 200));
-      }
-
-      // Parse CSS into rules
-      const cssRules = this.cssParser.parseCSS(allCSS);
-      console.log(`Parsed ${cssRules.length} CSS rules`);
-
       // Filter CSS rules based on above-fold elements
-      const criticalRules = this.cssParser.filterCSSRules(
-        cssRules,
-        aboveFoldSelectors
+      const criticalRules = await trackPhase(
+        onProgress,
+        EXTRACTION_PHASES.FILTER,
+        () => {
+          console.log(
+            `Browser matched ${matchedSelectors.size}/${selectors.length} selectors above the fold`
+          );
+          const matchedRules = browserMatching
+            ? cssParser.filterRulesByMatches(cssRules, matchedSelectors)
+            : cssParser.filterCSSRules(cssRules, aboveFoldSelectors, {
+                browserMatches: matchedSelectors,
+              });
+
+          // Animated critical rules need their @keyframes, and var() needs
+          // the custom properties it references
+          return cssParser.resolveCustomProperties(
+            cssParser.addReferencedKeyframes(matchedRules, cssRules),
+            {
+              inline: options.customProperties === 'inline',
+              allRules: cssRules,
+            }
+          );
+        },
+        (rules) => ({ criticalRules: rules.length })
       );
       console.log(`Filtered to ${criticalRules.length} critical CSS rules`);
 
       // Handle font optimization
       const fontHandler = new FontHandler(renderingContext.page);
-      const { css: fontCSS, preloads } =
-        await fontHandler.optimizeFontLoading();
+      const { css: fontCSS, preloads } = await trackPhase(
+        onProgress,
+        EXTRACTION_PHASES.FONTS,
+        () => fontHandler.optimizeFontLoading(),
+        (fonts) => ({ fontPreloads: fonts.preloads.length })
+      );
 
       // Combine CSS with font rules
       const allCriticalRules = [...criticalRules];
       if (fontCSS) {
-        const fontRules = this.cssParser.parseCSS(fontCSS);
+        const fontRules = cssParser.parseCSS(fontCSS);
         allCriticalRules.push(...fontRules);
       }
 
-      // Deduplicate and optimize CSS
-      const optimizedRules = this.cssParser.deduplicateRules(allCriticalRules);
-      console.log(`Optimized to ${optimizedRules.length} unique CSS rules`);
-
-      // Generate final CSS
-      let criticalCSS = this.cssParser.generateCSS(optimizedRules);
+      // Generate and minify the final CSS; repeated rules are folded by the
+      // minifier, which keeps the cascade order
+      const minified = await trackPhase(
+        onProgress,
+        EXTRACTION_PHASES.MINIFY,
+        () => {
+          const minifier = new CSSMinifier({ parser: cssParser });
+          return minifier.minify(allCriticalRules);
+        },
+        (output) => ({
+          rules: output.rules.length,
+          bytes: output.size,
+          bytesSaved: output.originalSize - output.size,
+        })
+      );
+      console.log(`Optimized to ${minified.rules.length} CSS rules`);
+      const criticalCSS = minified.css;
+      console.log(
+        `Minified critical CSS from ${minified.originalSize} to ${minified.size} bytes`
+      );
 
-      // Minify if needed
-      criticalCSS = this.cssParser.minifyCSS(criticalCSS);
+      // Everything not inlined, in original cascade order, for lazy loading
+      let remainderCSS;
+      if (options.includeRemainder) {
+        remainderCSS = cssParser.generateRemainderCSS(
+          allCSS,
+          allCriticalRules
+        );
+      }
 
       const extractionTime = Date.now() - startTime;
       console.log(`Extraction completed in ${extractionTime}ms`);
@@ -114,8 +305,17 @@ class CriticalCSSExtractor {
         mobileCSS: options.viewport.isMobile ? criticalCSS : undefined,
         desktopCSS: !options.viewport.isMobile ? criticalCSS : undefined,
         size: criticalCSS.length,
+        remainderCSS,
+        minification: {
+          originalSize: minified.originalSize,
+          savings: minified.savings,
+        },
+        fontPreloads: preloads,
+        html,
+        wait,
         extractionTime,
         viewport: options.viewport,
+        breakpoints: cssParser.extractBreakpoints(allCSS),
         url: options.url,
       };
     } catch (error) {
@@ -148,94 +348,232 @@ class CriticalCSSExtractor {
     }
   }
 
+  /**
+   * Create a CSS parser configured by the request options
+   */
+  createParser(options = {}) {
+    return new CSSParser({
+      includeShadows: options.includeShadows,
+      includeAnimations: options.includeAnimations,
+      includeTransitions: options.includeTransitions,
+      includeHoverStates: options.includeHoverStates,
+      propertyPolicy: options.propertyPolicy,
+    });
+  }
+
+  /**
+   * Single selectors of the style rules, for matching in the page
+   */
+  getMatchableSelectors(rules) {
+    return Array.from(
+      new Set(
+        rules
+          .filter((rule) => !rule.selector.startsWith('@'))
+          .flatMap((rule) => this.cssParser.splitSelectorList(rule.selector))
+      )
+    );
+  }
+
+  /**
+   * Add the selectors that match a node of the latest above-fold scan to
+   * `matchedSelectors`
+   */
+  async matchSelectorsInBrowser(renderingContext, selectors, matchedSelectors) {
+    const pending = selectors.filter(
+      (selector) => !matchedSelectors.has(selector)
+    );
+    if (pending.length === 0) return;
+
+    const matches = await renderingContext.domUtils.matchSelectors(pending);
+    pending.forEach((selector, index) => {
+      if (matches[index]) matchedSelectors.add(selector);
+    });
+  }
+
+  /**
+   * Extract critical CSS for each of the given viewports
+   * @param {string} url - Page URL
+   * @param {Object[]} viewports - Viewport configurations (lib/viewports.js)
+   * @param {Object} options - Extraction options shared by every viewport
+   * @returns {Promise<Object[]>} - Extraction results in viewport order
+   */
+  async extractForViewports(url, viewports, options = {}) {
+    const baseOptions = this.getBaseOptions(url, options);
+
+    return mapWithConcurrency(
+      viewports,
+      PERFORMANCE_CONFIG.MAX_CONCURRENT_EXTRACTIONS,
+      (viewport) => this.extractCriticalCSS({ ...baseOptions, viewport })
+    );
+  }
+
   /**
    * Extract critical CSS for both mobile and desktop viewports
    */
   async extractForBothViewports(url, options = {}) {
-    const baseOptions = {
+    const [mobileResult, desktopResult] = await this.extractForViewports(
       url,
-      timeout: options.timeout || PERFORMANCE_CONFIG.DEFAULT_TIMEOUT,
-      includeShadows: options.includeShadows ?? false,
-      userAgent: options.userAgent,
-    };
-
-    // Extract for both viewports in parallel
-    const [mobileResult, desktopResult] = await Promise.all([
-      this.extractCriticalCSS({
-        ...baseOptions,
-        viewport: VIEWPORTS.mobile,
-      }),
-      this.extractCriticalCSS({
-        ...baseOptions,
-        viewport: VIEWPORTS.desktop,
-      }),
-    ]);
+      resolveViewports('both'),
+      options
+    );
 
     // Combine results using mobile-first approach
-    const combinedCSS = this.combineMobileDesktopCSS(
-      mobileResult.criticalCSS,
-      desktopResult.criticalCSS
+    const combined = this.combineViewportCSS(
+      [mobileResult, desktopResult],
+      options
     );
 
     return {
       mobile: mobileResult,
       desktop: desktopResult,
-      combined: combinedCSS,
+      combined: combined.css,
+      layers: combined.layers,
     };
   }
 
   /**
-   * Combine mobile and desktop CSS using mobile-first approach
+   * Options shared by every viewport of a multi-viewport extraction
    */
-  combineMobileDesktopCSS(mobileCSS, desktopCSS) {
-    // Parse both CSS sets
-    const mobileRules = this.cssParser.parseCSS(mobileCSS);
-    const desktopRules = this.cssParser.parseCSS(desktopCSS);
-
-    // Mobile rules are the base
-    const combinedRules = [...mobileRules];
-
-    // Add desktop-specific rules wrapped in media query
-    for (const desktopRule of desktopRules) {
-      const ruleExists = combinedRules.some(
-        (mobileRule) =>
-          mobileRule.selector === desktopRule.selector && !mobileRule.mediaQuery
-      );
+  getBaseOptions(url, options) {
+    return {
+      url,
+      timeout: options.timeout || PERFORMANCE_CONFIG.DEFAULT_TIMEOUT,
+      includeShadows: options.includeShadows ?? false,
+      userAgent: options.userAgent,
+      html: options.html,
+      css: options.css,
+      captureHtml: options.captureHtml,
+      includeRemainder: options.includeRemainder,
+      includeAnimations: options.includeAnimations,
+      includeTransitions: options.includeTransitions ?? false,
+      includeHoverStates: options.includeHoverStates ?? false,
+      propertyPolicy: options.propertyPolicy,
+      customProperties: options.customProperties,
+      selectorMatching: options.selectorMatching,
+      urlRewrite: options.urlRewrite,
+      urlBasePath: options.urlBasePath,
+      actions: options.actions,
+      waitFor: options.waitFor,
+      auth: options.auth,
+      onProgress: options.onProgress,
+    };
+  }
 
-      if (ruleExists) {
-        // Add only the declarations that differ
-        const mobileRule = combinedRules.find(
-          (r) => r.selector === desktopRule.selector && !r.mediaQuery
-        );
+  /**
+   * Combine the critical CSS of several viewports mobile-first
+   * The narrowest viewport is the unconditional base; each wider viewport adds
+   * only the declarations the layers below it lack, wrapped in a min-width
+   * query starting at the breakpoint where the page's styles switch to it
+   * @param {Object[]} results - Extraction results (criticalCSS, viewport, breakpoints)
+   * @param {Object} options - Parser options of the extraction, and
+   *   `breakpoints`: layer boundaries in px (default: inferred from the
+   *   page's @media rules)
+   * @returns {Object} - { css, layers: [{ viewport, width, minWidth }] }
+   */
+  combineViewportCSS(results, options = {}) {
+    const { breakpoints } = options;
+    const cssParser = this.createParser(options);
+    const sortedResults = [...results].sort(
+      (a, b) => a.viewport.width - b.viewport.width
+    );
+    const layerBreakpoints =
+      breakpoints ||
+      Array.from(
+        new Set(sortedResults.flatMap((result) => result.breakpoints || []))
+      );
 
-        // Find declarations that are different or don't exist in mobile
-        const desktopOnlyDeclarations = desktopRule.declarations.filter(
-          (decl) => {
-            const mobileDecl = mobileRule.declarations.find(
-              (md) => md.property === decl.property
+    const combinedRules = [];
+    const layers = [];
+    // `${atRules}|${selector}` -> Map(property -> declaration) already emitted
+    const emitted = new Map();
+    // @font-face, @layer statements and @keyframes are only ever kept whole
+    const emittedWholeRules = new Set();
+
+    sortedResults.forEach((result, index) => {
+      const minWidth =
+        index === 0
+          ? 0
+          : this.getLayerMinWidth(
+              sortedResults[index - 1].viewport.width,
+              result.viewport.width,
+              layerBreakpoints
             );
-            return !mobileDecl || mobileDecl.value !== decl.value;
+      layers.push({
+        viewport: result.viewport.name,
+        width: result.viewport.width,
+        minWidth,
+      });
+
+      for (const rule of cssParser.parseCSS(result.criticalCSS)) {
+        // @font-face is not allowed inside @media, layer order must not
+        // depend on the viewport, and @keyframes are referenced by name
+        if (rule.selector.startsWith('@')) {
+          const wholeKey = cssParser.generateCSS([rule]);
+          if (!emittedWholeRules.has(wholeKey)) {
+            emittedWholeRules.add(wholeKey);
+            combinedRules.push(rule);
           }
-        );
+          continue;
+        }
 
-        if (desktopOnlyDeclarations.length > 0) {
-          combinedRules.push({
-            ...desktopRule,
-            declarations: desktopOnlyDeclarations,
-            mediaQuery: '(min-width: 768px)',
-          });
+        const key = `${cssParser.getAtRuleKey(rule)}|${rule.selector}`;
+        const known = emitted.get(key) || new Map();
+        const newDeclarations = rule.declarations.filter((decl) => {
+          const knownDecl = known.get(decl.property);
+          return (
+            !knownDecl ||
+            knownDecl.value !== decl.value ||
+            knownDecl.important !== decl.important
+          );
+        });
+        if (newDeclarations.length === 0) continue;
+
+        for (const decl of newDeclarations) {
+          known.set(decl.property, decl);
         }
-      } else {
-        // Add rule as desktop-specific
+        emitted.set(key, known);
+
+        // Wider layers nest even the page's own @media inside their query:
+        // a `(prefers-color-scheme: dark)` rule critical only on desktop
+        // must not reach narrower viewports
         combinedRules.push({
-          ...desktopRule,
-          mediaQuery: '(min-width: 768px)',
+          ...rule,
+          declarations: newDeclarations,
+          atRules:
+            minWidth === 0
+              ? rule.atRules
+              : [
+                  { name: 'media', prelude: `(min-width: ${minWidth}px)` },
+                  ...rule.atRules,
+                ],
         });
       }
-    }
+    });
+
+    console.log(
+      `Combined ${layers.length} viewport(s) at ${layers
+        .map((layer) => `${layer.minWidth}px`)
+        .join(', ')}`
+    );
 
-    // Generate and return combined CSS
-    return this.cssParser.generateCSS(combinedRules);
+    return {
+      css: cssParser.generateCSS(combinedRules),
+      layers,
+    };
+  }
+
+  /**
+   * Pick where a viewport's layer starts: the widest breakpoint above the
+   * previous viewport and at most this one, so widths in between keep the
+   * styles of the viewport the page itself would give them. Without such a
+   * breakpoint both viewports get the same media, and the layer starts at
+   * the viewport's own width.
+   */
+  getLayerMinWidth(previousWidth, width, breakpoints) {
+    const candidates = breakpoints.filter(
+      (breakpoint) => breakpoint > previousWidth && breakpoint <= width
+    );
+    return candidates.length > 0 ? Math.max(...candidates) : width;
   }
 
   /**
@@ -0,0 +1,171 @@
+/**
+ * Ways to load the full stylesheets without blocking render
+ */
+const DEFER_STRATEGIES = ['media-swap', 'preload'];
+
+/**
+ * Rewrites page HTML so critical CSS is inlined in <head> and the original
+ * stylesheets load without blocking render
+ */
+class HTMLInliner {
+  constructor(options = {}) {
+    this.options = {
+      deferStrategy: options.deferStrategy || 'media-swap',
+    };
+  }
+
+  /**
+   * Inline critical CSS and font preloads, and defer the original stylesheets
+   * @param {string} html - Full document HTML
+   * @param {Object} assets - { criticalCSS: string, fontPreloads: string[] }
+   * @returns {string} - Rewritten HTML
+   */
+  inline(html, { criticalCSS = '', fontPreloads = [] } = {}) {
+    const deferredHtml = this.deferStylesheets(html);
+
+    const headContent = [
+      ...this.dedupePreloads(deferredHtml, fontPreloads),
+      criticalCSS
+        ? `<style data-critical-css>${this.escapeStyleContent(criticalCSS)}</style>`
+        : '',
+    ]
+      .filter(Boolean)
+      .join('\n');
+
+    return this.injectIntoHead(deferredHtml, headContent);
+  }
+
+  /**
+   * Rewrite every render-blocking <link rel="stylesheet"> to the deferred pattern
+   * Links inside <noscript> are left untouched
+   */
+  deferStylesheets(html) {
+    const segments = html.split(/(<noscript\b[\s\S]*?<\/noscript>)/i);
+    let deferredCount = 0;
+
+    const rewritten = segments.map((segment) => {
+      if (/^<noscript\b/i.test(segment)) return segment;
+
+      return segment.replace(/<link\b[^>]*>/gi, (tag) => {
+        const rel = this.getAttribute(tag, 'rel');
+        if (!rel || !/(?:^|\s)stylesheet(?:\s|$)/i.test(rel)) return tag;
+        if (/(?:^|\s)alternate(?:\s|$)/i.test(rel)) return tag;
+        if (!this.getAttribute(tag, 'href')) return tag;
+
+        deferredCount++;
+        return this.createDeferredLink(tag);
+      });
+    });
+
+    console.log(
+      `Deferred ${deferredCount} stylesheet link(s) using ${this.options.deferStrategy}`
+    );
+    return rewritten.join('');
+  }
+
+  /**
+   * Build the non-blocking replacement for a stylesheet link, with a
+   * <noscript> fallback holding the original tag
+   */
+  createDeferredLink(tag) {
+    const media = this.getAttribute(tag, 'media') || 'all';
+    const fallback = `<noscript>${tag}</noscript>`;
+
+    if (this.options.deferStrategy === 'preload') {
+      // Preload the sheet and apply it once fetched
+      let preload = this.setAttribute(tag, 'rel', 'preload');
+      preload = this.setAttribute(preload, 'as', 'style');
+      preload = this.setAttribute(
+        preload,
+        'onload',
+        "this.onload=null;this.rel='stylesheet'"
+      );
+      return preload + fallback;
+    }
+
+    // Load as a print stylesheet (non-blocking), then switch to the real media
+    let swapped = this.setAttribute(tag, 'media', 'print');
+    swapped = this.setAttribute(
+      swapped,
+      'onload',
+      `this.onload=null;this.media='${media.replace(/'/g, "\\'")}'`
+    );
+    return swapped + fallback;
+  }
+
+  /**
+   * Drop font preloads whose href the document already preloads
+   */
+  dedupePreloads(html, preloads) {
+    const seen = new Set();
+
+    return preloads.filter((preload) => {
+      const href = this.getAttribute(preload, 'href');
+      if (!href || seen.has(href)) return false;
+      seen.add(href);
+
+      return !html.includes(`href="${href}"`);
+    });
+  }
+
+  /**
+   * Insert content at the start of <head>, after <meta charset> when present
+   */
+  injectIntoHead(html, content) {
+    if (!content) return html;
+
+    const charsetMatch = html.match(/<meta\b[^>]*\bcharset\b[^>]*>/i);
+    const headMatch = html.match(/<head\b[^>]*>/i);
+
+    if (charsetMatch && (!headMatch || charsetMatch.index > headMatch.index)) {
+      const insertAt = charsetMatch.index + charsetMatch[0].length;
+      return html.slice(0, insertAt) + '\n' + content + html.slice(insertAt);
+    }
+
+    if (headMatch) {
+      const insertAt = headMatch.index + headMatch[0].length;
+      return html.slice(0, insertAt) + '\n' + content + html.slice(insertAt);
+    }
+
+    // No <head> at all: browsers create one before the first content
+    return content + '\n' + html;
+  }
+
+  /**
+   * Prevent the CSS from closing the <style> element early
+   */
+  escapeStyleContent(css) {
+    return css.replace(/<\/(style)/gi, '<\\/$1');
+  }
+
+  /**
+   * Read an attribute value from a single HTML tag
+   * @returns {string|null}
+   */
+  getAttribute(tag, name) {
+    const match = tag.match(
+      new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i')
+    );
+    if (!match) return null;
+    return match[1] ?? match[2] ?? match[3];
+  }
+
+  /**
+   * Set (or add) an attribute on a single HTML tag
+   */
+  setAttribute(tag, name, value) {
+    const escaped = value.replace(/"/g, '&quot;');
+    const attrRegex = new RegExp(
+      `\\s${name}\\s*=\\s*(?:"[^"]*"|'[^']*'|[^\\s>]+)`,
+      'i'
+    );
+
+    if (attrRegex.test(tag)) {
+      return tag.replace(attrRegex, () => ` ${name}="${escaped}"`);
+    }
+
+    return tag.replace(/\s*\/?>$/, (end) => ` ${name}="${escaped}"${end}`);
+  }
+}
+
+module.exports = { HTMLInliner, DEFER_STRATEGIES };
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const { PERFORMANCE_CONFIG, EXTRACTION_PHASES } = require('./constants');
+const { serializeError, QueueFullError } = require('./errors');
+
+/**
+ * Lifecycle states of an extraction job
+ */
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RENDERING: 'rendering',
+  PARSING: 'parsing',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+// Extraction phases that count as "parsing"; every other phase is "rendering"
+const PARSING_PHASES = new Set([
+  EXTRACTION_PHASES.PARSE,
+  EXTRACTION_PHASES.FILTER,
+  EXTRACTION_PHASES.FONTS,
+  EXTRACTION_PHASES.MINIFY,
+]);
+
+/**
+ * In-memory job queue for asynchronous extractions
+ * Runs at most `concurrency` jobs at a time and keeps finished jobs for `jobTTL` ms.
+ * Synchronous extractions share the same slots through run(); at most
+ * `maxPending` of both wait for a slot.
+ */
+class JobQueue {
+  constructor(options = {}) {
+    this.concurrency =
+      options.concurrency || PERFORMANCE_CONFIG.MAX_CONCURRENT_EXTRACTIONS;
+    this.maxPending = options.maxPending || PERFORMANCE_CONFIG.MAX_QUEUED_JOBS;
+    this.jobTTL = options.jobTTL || 60 * 60 * 1000; // 1 hour
+    this.jobs = new Map(); // id -> job
+    this.pending = []; // ids waiting for a free slot
+    this.waiting = []; // synchronous runs waiting for a free slot
+    this.active = 0;
+  }
+
+  /**
+   * Whether new extractions would exceed the pending limit
+   * @returns {boolean}
+   */
+  isFull() {
+    return this.pending.length + this.waiting.length >= this.maxPending;
+  }
+
+  /**
+   * Throw when no more extractions may wait for a slot
+   */
+  assertNotFull() {
+    if (this.isFull()) {
+      throw new QueueFullError(
+        `Too many extractions are waiting (${this.maxPending}); retry later`
+      );
+    }
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Function} handler - async (onProgress) => result
+   * @param {Object} metadata - Extra fields exposed with the job (e.g. url)
+   * @param {Object} hooks - Optional callbacks
+   * @param {Function} hooks.onSettled - Called with the serialized job once done or failed
+   * @returns {Object} - Serialized job
+   * @throws {QueueFullError} - When maxPending extractions are already waiting
+   */
+  enqueue(handler, metadata = {}, hooks = {}) {
+    this.pruneExpired();
+    this.assertNotFull();
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: JOB_STATUS.QUEUED,
+      metadata,
+      handler,
+      onSettled: hooks.onSettled,
+      createdAt: Date.now(),
+      startedAt: null,
+      completedAt: null,
+      progress: null,
+      result: null,
+      error: null,
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job.id);
+    console.log(
+      `Queued job ${job.id} (${this.pending.length} pending, ${this.active} active)`
+    );
+
+    this.processNext();
+    return this.serialize(job);
+  }
+
+  /**
+   * Run a handler in a slot shared with the queued jobs and wait for it
+   * For requests that answer with the result instead of a job ID
+   * @param {Function} handler - async () => result
+   * @returns {Promise<*>} - The handler's result
+   * @throws {QueueFullError} - When maxPending extractions are already waiting
+   */
+  run(handler) {
+    this.assertNotFull();
+
+    return new Promise((resolve, reject) => {
+      this.waiting.push(() => {
+        const running = Promise.resolve().then(handler);
+        running.then(resolve, reject);
+        return running;
+      });
+      this.processNext();
+    });
+  }
+
+  /**
+   * Start waiting runs and pending jobs while there are free slots
+   * Synchronous runs go first, since a client holds a connection open for them
+   */
+  processNext() {
+    while (
+      this.active < this.concurrency &&
+      (this.waiting.length > 0 || this.pending.length > 0)
+    ) {
+      let running;
+      if (this.waiting.length > 0) {
+        running = this.waiting.shift()();
+      } else {
+        const job = this.jobs.get(this.pending.shift());
+        if (!job) continue;
+        running = this.runJob(job);
+      }
+
+      this.active++;
+      running
+        .catch(() => {}) // Reported to the caller or recorded on the job
+        .finally(() => {
+          this.active--;
+          this.processNext();
+        });
+    }
+  }
+
+  /**
+   * Run a single job and record its outcome
+   */
+  async runJob(job) {
+    job.startedAt = Date.now();
+    job.status = JOB_STATUS.RENDERING;
+
+    const onProgress = (event) => {
+      // Ignore late progress updates once the job has settled
+      if (job.status === JOB_STATUS.DONE || job.status === JOB_STATUS.FAILED) {
+        return;
+      }
+
+      job.progress = event;
+      if (event.state === 'start') {
+        job.status = PARSING_PHASES.has(event.phase)
+          ? JOB_STATUS.PARSING
+          : JOB_STATUS.RENDERING;
+      }
+    };
+
+    try {
+      job.result = await job.handler(onProgress);
+      job.status = JOB_STATUS.DONE;
+      console.log(`Job ${job.id} done in ${Date.now() - job.startedAt}ms`);
+    } catch (error) {
+      job.status = JOB_STATUS.FAILED;
+      job.error = serializeError(error);
+      console.error(`Job ${job.id} failed:`, error);
+    } finally {
+      job.completedAt = Date.now();
+      job.progress = null;
+      job.handler = null;
+    }
+
+    const { onSettled } = job;
+    job.onSettled = null;
+    if (onSettled) {
+      // Settled-job callbacks run detached so they never hold a queue slot
+      Promise.resolve()
+        .then(() => onSettled(this.serialize(job)))
+        .catch((error) => {
+          console.error(`Settled callback for job ${job.id} failed:`, error);
+        });
+    }
+  }
+
+  /**
+   * Merge extra fields into a job's public metadata
+   * @param {string} id - Job ID
+   * @param {Object} fields - Fields to merge
+   */
+  annotate(id, fields) {
+    const job = this.jobs.get(id);
+    if (job) {
+      job.metadata = { ...job.metadata, ...fields };
+    }
+  }
+
+  /**
+   * Get a serialized job by ID
+   * @param {string} id - Job ID
+   * @returns {Object|null} - Serialized job or null if unknown
+   */
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.serialize(job) : null;
+  }
+
+  /**
+   * Remove finished jobs older than the TTL
+   */
+  pruneExpired() {
+    const cutoff = Date.now() - this.jobTTL;
+    for (const [id, job] of this.jobs.entries()) {
+      if (job.completedAt && job.completedAt < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Convert a job into its public JSON representation
+   */
+  serialize(job) {
+    const queuePosition = this.pending.indexOf(job.id);
+
+    return {
+      id: job.id,
+      status: job.status,
+      ...job.metadata,
+      queuePosition: queuePosition === -1 ? undefined : queuePosition + 1,
+      progress: job.progress || undefined,
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      completedAt: job.completedAt
+        ? new Date(job.completedAt).toISOString()
+        : null,
+      result: job.result || undefined,
+      error: job.error || undefined,
+    };
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} - Queue stats
+   */
+  getStats() {
+    return {
+      total: this.jobs.size,
+      pending: this.pending.length,
+      waiting: this.waiting.length,
+      active: this.active,
+      concurrency: this.concurrency,
+    };
+  }
+}
+
+module.exports = { JobQueue, JOB_STATUS };
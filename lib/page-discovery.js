@@ -0,0 +1,345 @@
+const { VIEWPORTS, PERFORMANCE_CONFIG, CRAWL_CONFIG } = require('./constants');
+const { NetworkError } = require('./errors');
+const { mapWithConcurrency } = require('./async-utils');
+const { getAuthHeaders, getCookieHeader } = require('./auth');
+
+// Links to these resources are never pages worth extracting
+const NON_PAGE_EXTENSIONS =
+  /\.(?:pdf|zip|gz|jpe?g|png|gif|webp|avif|svg|ico|mp4|webm|mp3|css|js|json|xml|txt|woff2?|ttf|eot)$/i;
+
+/**
+ * Discovers pages from a sitemap or a same-origin crawl and groups them by
+ * template using the similarity of their DOM structure
+ */
+class PageDiscovery {
+  constructor(renderer, options = {}) {
+    this.renderer = renderer;
+    this.options = {
+      maxDepth: options.maxDepth ?? CRAWL_CONFIG.DEFAULT_MAX_DEPTH,
+      maxPages: options.maxPages ?? CRAWL_CONFIG.DEFAULT_MAX_PAGES,
+      similarityThreshold:
+        options.similarityThreshold ?? CRAWL_CONFIG.SIMILARITY_THRESHOLD,
+      userAgent: options.userAgent,
+      auth: options.auth,
+      timeout: options.timeout || PERFORMANCE_CONFIG.DEFAULT_TIMEOUT,
+    };
+  }
+
+  /**
+   * Collect page URLs listed in a sitemap (follows sitemap indexes)
+   * @param {string} sitemapUrl - Absolute sitemap URL
+   * @param {number} depth - Current sitemap index nesting level
+   * @param {string} rootUrl - Top-level sitemap URL, which scopes the
+   *   request credentials like a page URL does
+   * @returns {Promise<string[]>} - Page URLs, capped at maxPages
+   */
+  async discoverFromSitemap(sitemapUrl, depth = 0, rootUrl = sitemapUrl) {
+    let response;
+    try {
+      response = await this.renderer.stylesheetFetcher.httpRequest(
+        sitemapUrl,
+        this.getSitemapHeaders(sitemapUrl, rootUrl)
+      );
+    } catch (error) {
+      throw new NetworkError(
+        `Failed to fetch sitemap ${sitemapUrl}: ${error.message}`,
+        error
+      );
+    }
+
+    const locations = this.parseSitemapLocations(response.body);
+    const isIndex = /<sitemapindex[\s>]/i.test(response.body);
+    console.log(
+      `Sitemap ${sitemapUrl} lists ${locations.length} ${isIndex ? 'sitemap(s)' : 'page(s)'}`
+    );
+
+    if (!isIndex) {
+      return locations.slice(0, this.options.maxPages);
+    }
+
+    // Sitemap index: descend into child sitemaps until we have enough pages
+    const pages = [];
+    if (depth >= CRAWL_CONFIG.MAX_SITEMAP_INDEX_DEPTH) {
+      console.warn(`Sitemap index nesting too deep at ${sitemapUrl}, skipping`);
+      return pages;
+    }
+
+    for (const childUrl of locations) {
+      if (pages.length >= this.options.maxPages) break;
+
+      try {
+        const childPages = await this.discoverFromSitemap(
+          childUrl,
+          depth + 1,
+          rootUrl
+        );
+        pages.push(...childPages);
+      } catch (error) {
+        console.warn(`Skipping child sitemap ${childUrl}: ${error.message}`);
+      }
+    }
+
+    return Array.from(new Set(pages)).slice(0, this.options.maxPages);
+  }
+
+  /**
+   * Headers for a sitemap request: the request's user agent and the
+   * credentials the browser would send (see getAuthHeaders)
+   */
+  getSitemapHeaders(sitemapUrl, rootUrl) {
+    const { auth, userAgent } = this.options;
+    const headers = {
+      Accept: 'application/xml,text/xml;q=0.9,*/*;q=0.1',
+      ...(userAgent && { 'User-Agent': userAgent }),
+    };
+    if (!auth) return headers;
+
+    Object.assign(headers, getAuthHeaders(auth, sitemapUrl, rootUrl));
+    const cookie =
+      auth.cookies && getCookieHeader(auth.cookies, sitemapUrl, rootUrl);
+    if (cookie) headers.Cookie = cookie;
+    return headers;
+  }
+
+  /**
+   * Extract <loc> entries from sitemap XML
+   * @param {string} xml - Sitemap XML
+   * @returns {string[]} - Absolute http(s) URLs
+   */
+  parseSitemapLocations(xml) {
+    const locations = [];
+    const locRegex = /<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi;
+    let match;
+
+    while ((match = locRegex.exec(xml)) !== null) {
+      const url = match[1]
+        .replace(/&amp;/g, '&')
+        .replace(/&apos;/g, "'")
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>');
+
+      if (/^https?:\/\//i.test(url)) {
+        locations.push(url);
+      }
+    }
+
+    return locations;
+  }
+
+  /**
+   * Breadth-first crawl of same-origin links starting at startUrl
+   * @param {string} startUrl - Absolute start URL
+   * @returns {Promise<Object[]>} - Page snapshots { url, depth, fingerprint }
+   */
+  async crawl(startUrl) {
+    const origin = new URL(startUrl).origin;
+    const seen = new Set([this.normalizeUrl(startUrl)]);
+    const snapshots = [];
+    let frontier = [this.normalizeUrl(startUrl)];
+
+    for (
+      let depth = 0;
+      depth <= this.options.maxDepth && frontier.length > 0;
+      depth++
+    ) {
+      const level = frontier.slice(
+        0,
+        this.options.maxPages - snapshots.length
+      );
+      console.log(`Crawling depth ${depth}: ${level.length} page(s)`);
+
+      const levelSnapshots = await this.snapshotPages(level);
+      frontier = [];
+
+      for (const snapshot of levelSnapshots) {
+        if (!snapshot) continue;
+        snapshots.push({ ...snapshot, depth });
+
+        for (const link of snapshot.links) {
+          const normalized = this.normalizeUrl(link);
+          if (
+            normalized &&
+            !seen.has(normalized) &&
+            new URL(normalized).origin === origin &&
+            !NON_PAGE_EXTENSIONS.test(new URL(normalized).pathname)
+          ) {
+            seen.add(normalized);
+            frontier.push(normalized);
+          }
+        }
+      }
+
+      if (snapshots.length >= this.options.maxPages) break;
+    }
+
+    return snapshots.map(({ links, ...snapshot }) => snapshot);
+  }
+
+  /**
+   * Render pages and capture their structural fingerprint and links
+   * Pages that fail to load are skipped (null in the result)
+   * @param {string[]} urls - Page URLs
+   * @returns {Promise<Array<Object|null>>} - { url, fingerprint, links }
+   */
+  async snapshotPages(urls) {
+    return mapWithConcurrency(
+      urls,
+      PERFORMANCE_CONFIG.MAX_CONCURRENT_EXTRACTIONS,
+      async (url) => {
+        try {
+          return await this.snapshotPage(url);
+        } catch (error) {
+          console.warn(`Skipping page ${url}: ${error.message}`);
+          return null;
+        }
+      }
+    );
+  }
+
+  /**
+   * Render a single page and capture its structural fingerprint and links
+   */
+  async snapshotPage(url) {
+    const options = {
+      url,
+      viewport: VIEWPORTS.desktop,
+      userAgent: this.options.userAgent,
+      auth: this.options.auth,
+      timeout: this.options.timeout,
+    };
+    const contextId = `${url}-${options.viewport.width}x${options.viewport.height}`;
+
+    try {
+      const { page } = await this.renderer.createContext(options);
+      await page.goto(url, {
+        waitUntil: 'domcontentloaded',
+        timeout: this.options.timeout,
+      });
+
+      const snapshot = await page.evaluate((maxDepth) => {
+        // Class names containing digits are usually per-page (post-123, id-9f2)
+        const stableClasses = (element) =>
+          Array.from(element.classList)
+            .filter((cls) => !/\d/.test(cls))
+            .sort()
+            .slice(0, 3);
+
+        const label = (element) => {
+          const classes = stableClasses(element);
+          return (
+            element.tagName.toLowerCase() +
+            (classes.length > 0 ? '.' + classes.join('.') : '')
+          );
+        };
+
+        // Every root-to-element path down to maxDepth is one shingle
+        const shingles = new Set();
+        const walk = (element, path, depth) => {
+          if (depth > maxDepth) return;
+          for (const child of Array.from(element.children)) {
+            const tagName = child.tagName.toLowerCase();
+            if (['script', 'style', 'noscript', 'template'].includes(tagName))
+              continue;
+            const childPath = `${path}>${label(child)}`;
+            shingles.add(childPath);
+            walk(child, childPath, depth + 1);
+          }
+        };
+
+        if (document.body) {
+          walk(document.body, 'body', 1);
+        }
+
+        const links = Array.from(document.querySelectorAll('a[href]'))
+          .map((a) => a.href)
+          .filter((href) => /^https?:/i.test(href));
+
+        return {
+          fingerprint: Array.from(shingles),
+          links,
+        };
+      }, CRAWL_CONFIG.FINGERPRINT_DEPTH);
+
+      return {
+        url,
+        ...snapshot,
+      };
+    } finally {
+      await this.renderer.cleanup(contextId);
+    }
+  }
+
+  /**
+   * Group page snapshots into templates by DOM structure similarity
+   * Each page joins the first template whose representative is similar enough
+   * @param {Object[]} snapshots - { url, fingerprint }
+   * @returns {Object[]} - { id, representativeUrl, urls, similarity }
+   */
+  groupByTemplate(snapshots) {
+    const groups = [];
+
+    for (const snapshot of snapshots) {
+      const fingerprint = new Set(snapshot.fingerprint);
+      let bestGroup = null;
+      let bestScore = 0;
+
+      for (const group of groups) {
+        const score = this.jaccardSimilarity(fingerprint, group.fingerprint);
+        if (score > bestScore) {
+          bestScore = score;
+          bestGroup = group;
+        }
+      }
+
+      if (bestGroup && bestScore >= this.options.similarityThreshold) {
+        bestGroup.urls.push(snapshot.url);
+        bestGroup.minSimilarity = Math.min(bestGroup.minSimilarity, bestScore);
+      } else {
+        groups.push({
+          representativeUrl: snapshot.url,
+          fingerprint,
+          urls: [snapshot.url],
+          minSimilarity: 1,
+        });
+      }
+    }
+
+    return groups.map((group, index) => ({
+      id: `template-${index + 1}`,
+      representativeUrl: group.representativeUrl,
+      urls: group.urls,
+      similarity: Math.round(group.minSimilarity * 100) / 100,
+    }));
+  }
+
+  /**
+   * Jaccard similarity of two sets
+   */
+  jaccardSimilarity(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+
+    let intersection = 0;
+    for (const item of a) {
+      if (b.has(item)) intersection++;
+    }
+
+    return intersection / (a.size + b.size - intersection);
+  }
+
+  /**
+   * Normalize a URL for de-duplication (drops hash, keeps query)
+   * @returns {string|null} - Normalized URL or null if invalid
+   */
+  normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.href;
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = { PageDiscovery };
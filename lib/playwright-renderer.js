@@ -1,155 +1,363 @@
-const { chromium: playwright } = require('playwright-core');
-const { PERFORMANCE_CONFIG, USER_AGENTS } = require('./constants');
+const {
+  PERFORMANCE_CONFIG,
+  EXTRACTION_PHASES,
+  ACTION_LIMITS,
+  USER_AGENTS,
+} = require('./constants');
 const { LCPObserver } = require('./lcp-observer');
 const { DOMUtils } = require('./dom-utils');
 const { StylesheetFetcher } = require('./stylesheet-fetcher');
+const { launchBrowser } = require('./browser-pool');
+const { trackPhase } = require('./progress');
+const { describeAction } = require('./actions');
+const { getSourceCSS } = require('./css-parser');
+const { resolveCookies, getAuthHeaders, describeAuth } = require('./auth');
 const { TimeoutError, RenderingError, NetworkError } = require('./errors');
 
+// Page global recording the custom events awaited by `event` wait strategies
+const PAGE_EVENTS_KEY = '__criticalCssEvents';
+
+/**
+ * Concatenate stylesheet sources into one stylesheet in cascade order
+ * @param {Object[]} sources - Sources from getStylesheetSources
+ * @returns {string} - Combined CSS
+ */
+function joinStylesheetSources(sources) {
+  return sources.map(getSourceCSS).join('\n');
+}
+
 class PlaywrightRenderer {
-  constructor() {
+  constructor(options = {}) {
     this.browser = null;
+    this.browserLaunch = null;
     this.contexts = new Map();
-    this.stylesheetFetcher = new StylesheetFetcher();
+    // Accept a shared fetcher so its cache survives across renderers
+    this.stylesheetFetcher =
+      options.stylesheetFetcher || new StylesheetFetcher();
+    // With a pool, contexts run on leased browsers instead of our own
+    this.browserPool = options.browserPool || null;
+    this.leases = new Map(); // contextId -> pool lease
   }
 
   /**
-   * Initialize browser with performance throttling
+   * Initialize browser with performance throttling (without a browser pool)
    */
   async initializeBrowser() {
     if (this.browser) return;
 
-    this.browser = await playwright.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu',
-        '--disable-background-timer-throttling',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-renderer-backgrounding',
-        '--disable-features=TranslateUI',
-        '--disable-ipc-flooding-protection',
-      ],
-    });
+    // Concurrent callers share one launch instead of each starting a browser
+    if (!this.browserLaunch) {
+      this.browserLaunch = launchBrowser().finally(() => {
+        this.browserLaunch = null;
+      });
+    }
+
+    this.browser = await this.browserLaunch;
   }
 
   /**
    * Create rendering context for a specific extraction
+   * The context runs on a browser leased from the pool (or on this renderer's
+   * own browser without one); cleanup() closes it and returns the lease
    */
   async createContext(options) {
-    await this.initializeBrowser();
-    if (!this.browser) {
-      throw new RenderingError('Failed to initialize browser');
-    }
-
     const contextId = `${options.url}-${options.viewport.width}x${options.viewport.height}`;
 
     // Clean up existing context if any
     if (this.contexts.has(contextId)) {
-      await this.contexts.get(contextId)?.close();
-      this.contexts.delete(contextId);
+      await this.cleanup(contextId);
     }
 
-    // Create new context with performance simulation
-    const context = await this.browser.newContext({
-      viewport: {
-        width: options.viewport.width,
-        height: options.viewport.height,
-      },
-      deviceScaleFactor: options.viewport.deviceScaleFactor,
-      isMobile: options.viewport.isMobile,
-      hasTouch: options.viewport.hasTouch || false,
-      userAgent:
-        options.userAgent ||
-        (options.viewport.isMobile ? USER_AGENTS.mobile : USER_AGENTS.desktop),
-      reducedMotion: 'reduce',
-      locale: 'en-US',
-      timezoneId: 'America/New_York',
-    });
-
-    // Apply performance throttling
-    const client = await context.newCDPSession(
-      context.pages()[0] || (await context.newPage())
-    );
-    await client.send(
-      'Network.emulateNetworkConditions',
-      PERFORMANCE_CONFIG.NETWORK_THROTTLE
-    );
-    await client.send('Emulation.setCPUThrottlingRate', {
-      rate: PERFORMANCE_CONFIG.CPU_THROTTLE_RATE,
-    });
+    const lease = await this.acquireBrowser();
+    const { auth } = options;
+    let context = null;
 
-    const page = await context.newPage();
+    try {
+      // Create new context with performance simulation
+      context = await lease.browser.newContext({
+        viewport: {
+          width: options.viewport.width,
+          height: options.viewport.height,
+        },
+        deviceScaleFactor: options.viewport.deviceScaleFactor,
+        isMobile: options.viewport.isMobile,
+        hasTouch: options.viewport.hasTouch || false,
+        userAgent:
+          options.userAgent ||
+          (options.viewport.isMobile
+            ? USER_AGENTS.mobile
+            : USER_AGENTS.desktop),
+        reducedMotion: 'reduce',
+        locale: 'en-US',
+        timezoneId: 'America/New_York',
+        // Credentials only go to the page's own origin
+        ...(auth?.httpCredentials && {
+          httpCredentials: {
+            ...auth.httpCredentials,
+            origin: new URL(options.url).origin,
+          },
+        }),
+      });
 
-    // Set up error handling
-    page.on('pageerror', (error) => {
-      console.warn('Page error:', error.message);
-    });
+      if (auth) {
+        await this.applyAuth(context, auth, options.url);
+      }
 
-    page.on('requestfailed', (request) => {
-      console.warn(
-        'Request failed:',
-        request.url(),
-        request.failure()?.errorText
+      // Apply performance throttling
+      const client = await context.newCDPSession(
+        context.pages()[0] || (await context.newPage())
       );
-    });
+      await client.send(
+        'Network.emulateNetworkConditions',
+        PERFORMANCE_CONFIG.NETWORK_THROTTLE
+      );
+      await client.send('Emulation.setCPUThrottlingRate', {
+        rate: PERFORMANCE_CONFIG.CPU_THROTTLE_RATE,
+      });
 
-    // Create utilities
-    const lcpObserver = new LCPObserver(page, {
-      stabilizationDelay: PERFORMANCE_CONFIG.LCP_STABILIZATION_DELAY,
-      timeout: options.timeout || PERFORMANCE_CONFIG.DEFAULT_TIMEOUT,
-    });
+      const page = await context.newPage();
 
-    const domUtils = new DOMUtils(page, options.viewport);
+      // Set up error handling
+      page.on('pageerror', (error) => {
+        console.warn('Page error:', error.message);
+      });
 
-    this.contexts.set(contextId, context);
+      page.on('requestfailed', (request) => {
+        console.warn(
+          'Request failed:',
+          request.url(),
+          request.failure()?.errorText
+        );
+      });
 
-    return {
-      browser: this.browser,
-      context,
-      page,
-      lcpObserver,
-      domUtils,
-    };
+      // Create utilities
+      const lcpObserver = new LCPObserver(page, {
+        stabilizationDelay: PERFORMANCE_CONFIG.LCP_STABILIZATION_DELAY,
+        timeout: options.timeout || PERFORMANCE_CONFIG.DEFAULT_TIMEOUT,
+      });
+
+      const domUtils = new DOMUtils(page, options.viewport);
+
+      this.contexts.set(contextId, context);
+      this.leases.set(contextId, lease);
+
+      return {
+        browser: lease.browser,
+        context,
+        page,
+        lcpObserver,
+        domUtils,
+        auth,
+        userAgent: options.userAgent,
+      };
+    } catch (error) {
+      await context?.close().catch(() => {});
+      lease.release();
+      throw error;
+    }
+  }
+
+  /**
+   * Browser for a new context: a pool lease, or this renderer's own browser
+   * @returns {Promise<Object>} - { browser, release }
+   */
+  async acquireBrowser() {
+    if (this.browserPool) {
+      return this.browserPool.acquire();
+    }
+
+    await this.initializeBrowser();
+    if (!this.browser) {
+      throw new RenderingError('Failed to initialize browser');
+    }
+    return { browser: this.browser, release: () => {} };
   }
 
   /**
-   * Navigate to URL and wait for LCP stabilization
+   * Add the request's cookies, extra headers and localStorage seed to a new
+   * context. Headers are only added to requests for the page's origin, so
+   * tokens never reach CDNs or third parties; basic-auth credentials are a
+   * context option scoped the same way. Only a summary is logged; cookie,
+   * header and storage values never are.
+   */
+  async applyAuth(context, auth, pageUrl) {
+    if (auth.cookies?.length) {
+      try {
+        await context.addCookies(resolveCookies(auth.cookies, pageUrl));
+      } catch {
+        // Playwright's message can quote the cookie, so it is not passed on
+        throw new RenderingError(
+          'Failed to add the request cookies to the browser context'
+        );
+      }
+    }
+
+    if (auth.headers && Object.keys(auth.headers).length > 0) {
+      const { origin } = new URL(pageUrl);
+      await context.route(
+        (url) => url.origin === origin,
+        (route, request) =>
+          route.continue({
+            headers: { ...request.headers(), ...auth.headers },
+          })
+      );
+    }
+
+    // Seed before any page script runs, and only on the page's own origin
+    if (auth.localStorage) {
+      await context.addInitScript(
+        ({ origin, items }) => {
+          if (window.location.origin !== origin) return;
+          for (const [key, value] of Object.entries(items)) {
+            window.localStorage.setItem(key, value);
+          }
+        },
+        { origin: new URL(pageUrl).origin, items: auth.localStorage }
+      );
+    }
+
+    console.log(`Applied request credentials: ${describeAuth(auth)}`);
+  }
+
+  /**
+   * Headers for fetching a URL outside the browser the way the context would:
+   * the request's user agent and extra headers, basic auth for the page's
+   * origin and the cookies the context would send to that URL
+   * @returns {Promise<Object>} - Header name -> value (empty without a custom
+   *   user agent or auth)
+   */
+  async getRequestHeaders(renderingContext, url, pageUrl) {
+    const { context, auth, userAgent } = renderingContext;
+    const headers = userAgent ? { 'User-Agent': userAgent } : {};
+    if (!auth) return headers;
+
+    Object.assign(headers, getAuthHeaders(auth, url, pageUrl));
+    const cookies = await context.cookies(url);
+    if (cookies.length > 0) {
+      headers.Cookie = cookies
+        .map((cookie) => `${cookie.name}=${cookie.value}`)
+        .join('; ');
+    }
+    return headers;
+  }
+
+  /**
+   * Navigate to URL and wait until the page is ready
+   * By default that is LCP stabilization followed by a content-settle window;
+   * options.waitFor strategies (lib/wait-strategies.js) replace both.
+   * When options.html is set, that markup is served as the document at `url`
+   * so relative assets resolve against it; options.css strings are injected
+   * as <style> tags once the document has loaded
+   * @returns {Promise<Object>} - { wait }, how the wait ended:
+   *   { strategy, index?, settled?, timedOut, duration }
    */
   async loadPage(renderingContext, url, options) {
     const { page, lcpObserver } = renderingContext;
+    const waitStrategies = options.waitFor || [];
 
     try {
       // Set timeout for navigation
       const timeout = options.timeout || PERFORMANCE_CONFIG.DEFAULT_TIMEOUT;
       console.log(`Loading page: ${url} with timeout: ${timeout}ms`);
 
+      // Serve raw HTML for the document request instead of hitting the network
+      if (options.html !== undefined) {
+        console.log(`Serving ${options.html.length} bytes of provided HTML`);
+        const documentUrl = new URL(url).href;
+        await page.route(
+          (requestUrl) => requestUrl.href === documentUrl,
+          (route) =>
+            route.fulfill({
+              status: 200,
+              contentType: 'text/html; charset=utf-8',
+              body: options.html,
+            })
+        );
+      }
+
+      // Event strategies must listen before the page's own scripts run
+      const eventNames = waitStrategies
+        .filter((strategy) => strategy.type === 'event')
+        .map((strategy) => strategy.name);
+      if (eventNames.length > 0) {
+        await page.addInitScript(
+          ({ names, key }) => {
+            window[key] = {};
+            for (const name of names) {
+              const mark = () => {
+                window[key][name] = true;
+              };
+              window.addEventListener(name, mark);
+              document.addEventListener(name, mark);
+            }
+          },
+          { names: eventNames, key: PAGE_EVENTS_KEY }
+        );
+      }
+
       // Navigate to the page
       console.log('Starting navigation...');
-      await page.goto(url, {
-        waitUntil: 'domcontentloaded',
-        timeout,
-      });
+      await trackPhase(options.onProgress, EXTRACTION_PHASES.NAVIGATION, () =>
+        page.goto(url, {
+          waitUntil: 'domcontentloaded',
+          timeout,
+        })
+      );
       console.log('Navigation completed successfully');
 
+      // Inject provided CSS after the document's own styles
+      const inlineCSS = [].concat(options.css || []);
+      for (const content of inlineCSS) {
+        await page.addStyleTag({ content });
+      }
+      if (inlineCSS.length > 0) {
+        console.log(`Injected ${inlineCSS.length} provided stylesheet(s)`);
+      }
+
+      if (waitStrategies.length > 0) {
+        const wait = await trackPhase(
+          options.onProgress,
+          EXTRACTION_PHASES.WAIT,
+          () => this.waitForStrategies(page, waitStrategies),
+          (result) => ({ strategy: result.strategy })
+        );
+        return { wait };
+      }
+
+      const waitStart = Date.now();
+
       // Wait for LCP stabilization
       console.log('Waiting for LCP stabilization...');
-      await lcpObserver.waitForLCPStabilization();
+      await trackPhase(
+        options.onProgress,
+        EXTRACTION_PHASES.LCP,
+        () => lcpObserver.waitForLCPStabilization(),
+        (entries) => ({ lcpEntries: entries.length })
+      );
       console.log('LCP stabilization completed');
 
       // Wait for dynamic content to settle
       console.log('Waiting for content to settle...');
-      const settled =
-        await renderingContext.domUtils.waitForContentSettle(2000);
+      const settled = await trackPhase(
+        options.onProgress,
+        EXTRACTION_PHASES.SETTLE,
+        () => renderingContext.domUtils.waitForContentSettle(2000),
+        (result) => ({ settled: result })
+      );
       if (settled) {
         console.log('Content settling completed');
       } else {
         console.warn('Content settle window expired, continuing anyway');
       }
+
+      return {
+        wait: {
+          strategy: 'lcp-stabilization',
+          settled,
+          timedOut: false,
+          duration: Date.now() - waitStart,
+        },
+      };
     } catch (error) {
       console.error('Error in loadPage:', error);
       if (error instanceof Error && error.message.includes('timeout')) {
@@ -168,6 +376,135 @@ class PlaywrightRenderer {
     }
   }
 
+  /**
+   * Race wait strategies; the first one to succeed ends the wait
+   * When every strategy fails or times out, the extraction carries on with
+   * the page as it is.
+   * @param {Object[]} strategies - Resolved strategies (resolveWaitStrategies)
+   * @returns {Promise<Object>} - { strategy, index, timedOut, duration }, with
+   *   strategy null when none finished
+   */
+  async waitForStrategies(page, strategies) {
+    const start = Date.now();
+    const attempts = strategies.map((strategy, index) =>
+      this.waitForStrategy(page, strategy).then(() => index)
+    );
+
+    try {
+      const index = await Promise.any(attempts);
+      const { type } = strategies[index];
+      console.log(`Wait strategy ${index + 1} (${type}) finished first`);
+      return {
+        strategy: type,
+        index,
+        timedOut: false,
+        duration: Date.now() - start,
+      };
+    } catch (error) {
+      const reasons = error.errors.map((reason) => reason.message).join('; ');
+      console.warn(`No wait strategy finished, continuing anyway: ${reasons}`);
+      return {
+        strategy: null,
+        timedOut: true,
+        duration: Date.now() - start,
+      };
+    }
+  }
+
+  /**
+   * Wait for a single strategy; rejects when it times out
+   */
+  async waitForStrategy(page, strategy) {
+    const { timeout } = strategy;
+
+    switch (strategy.type) {
+      case 'load':
+      case 'networkidle':
+        return page.waitForLoadState(strategy.type, { timeout });
+      case 'selector':
+        return page
+          .locator(strategy.selector)
+          .first()
+          .waitFor({ state: 'visible', timeout });
+      case 'function':
+        return page.waitForFunction(strategy.expression, undefined, {
+          timeout,
+        });
+      case 'delay':
+        return page.waitForTimeout(strategy.ms);
+      case 'event':
+        return page.waitForFunction(
+          ({ name, key }) => Boolean(window[key]?.[name] || window[name]),
+          { name: strategy.name, key: PAGE_EVENTS_KEY },
+          { timeout }
+        );
+    }
+  }
+
+  /**
+   * Run scripted interactions (cookie banners, menus, tabs) on a loaded page
+   * The page is scanned before the first action and after each one that ran,
+   * so every state it passes through contributes to the critical CSS. The
+   * page is scrolled back to the top once the last state is scanned.
+   * @param {Object[]} actions - Validated actions (lib/actions.js)
+   * @param {Function} scanState - Scans the current state, resolving to its
+   *   above-fold elements (default: DOMUtils.getAboveFoldElements)
+   * @returns {Promise<Object[][]>} - Above-fold elements per scanned state
+   */
+  async runActions(renderingContext, actions, scanState) {
+    const { page, domUtils } = renderingContext;
+    const scan = scanState || (() => domUtils.getAboveFoldElements());
+    const states = [await scan()];
+
+    for (const [index, action] of actions.entries()) {
+      const description = describeAction(action);
+      try {
+        await this.runAction(page, action);
+        console.log(`Action ${index + 1}/${actions.length}: ${description}`);
+      } catch (error) {
+        if (action.optional) {
+          console.warn(
+            `Optional action ${index + 1} (${description}) skipped: ${error.message}`
+          );
+          continue;
+        }
+
+        const message = `Action ${index + 1} (${description}) failed`;
+        throw error instanceof Error && error.name === 'TimeoutError'
+          ? new TimeoutError(message, error)
+          : new RenderingError(message, error);
+      }
+
+      states.push(await scan());
+    }
+
+    await page.evaluate(() => window.scrollTo(0, 0));
+    return states;
+  }
+
+  /**
+   * Perform a single action
+   */
+  async runAction(page, action) {
+    const timeout = action.timeout || ACTION_LIMITS.DEFAULT_TIMEOUT;
+    const target = action.selector && page.locator(action.selector).first();
+
+    switch (action.type) {
+      case 'click':
+        return target.click({ timeout });
+      case 'hover':
+        return target.hover({ timeout });
+      case 'type':
+        return target.pressSequentially(action.text, { timeout });
+      case 'scroll':
+        return target.scrollIntoViewIfNeeded({ timeout });
+      case 'waitForSelector':
+        return target.waitFor({ state: 'visible', timeout });
+      case 'wait':
+        return page.waitForTimeout(action.ms);
+    }
+  }
+
   /**
    * Extract page HTML and CSS information
    */
@@ -177,6 +514,9 @@ class PlaywrightRenderer {
     return await page.evaluate(() => {
       // Get HTML
       const html = document.documentElement.outerHTML;
+      const doctype = document.doctype
+        ? `<!DOCTYPE ${document.doctype.name}>`
+        : '';
 
       // Get inline styles
       const inlineStyles = [];
@@ -206,6 +546,7 @@ class PlaywrightRenderer {
 
       return {
         html,
+        doctype,
         inlineStyles,
         externalStylesheets,
         fontFaces,
@@ -214,86 +555,156 @@ class PlaywrightRenderer {
   }
 
   /**
-   * Get all CSS content (inline and external)
-   * Fetches external stylesheets via HTTP to bypass CORS restrictions
+   * Get all CSS content (inline and external) as one string in cascade order
    */
   async getAllCSS(renderingContext, pageUrl) {
-    const { page } = renderingContext;
-
-    // Get inline styles and external stylesheet URLs from the page
-    const pageData = await page.evaluate(() => {
-      let inlineCSS = '';
-      const externalStylesheetUrls = [];
-
-      // Get inline styles
-      const inlineStyles = document.querySelectorAll('style');
-      inlineStyles.forEach((style) => {
-        const content = style.textContent || '';
-        if (content.trim()) {
-          inlineCSS += content + '\n';
-        }
-      });
+    const sources = await this.getStylesheetSources(renderingContext, pageUrl);
+    return joinStylesheetSources(sources);
+  }
 
-      // Get external stylesheet URLs
-      const linkElements = document.querySelectorAll('link[rel="stylesheet"]');
-      linkElements.forEach((link) => {
-        const href = link.getAttribute('href');
-        if (href) {
-          externalStylesheetUrls.push(href);
-        }
-      });
+  /**
+   * Collect the page's stylesheets in document.styleSheets order, followed by
+   * adopted stylesheets, which is the order they cascade in
+   * Linked sheets are fetched via HTTP (original text, bypasses CORS) and fall
+   * back to their CSSOM rules when the fetch fails. A sheet included more than
+   * once is kept at its last position, where it takes effect.
+   * @returns {Promise<Object[]>} - [{ type: 'inline'|'link'|'import'|'adopted', url, baseUrl, conditions, css, index }],
+   *   where `baseUrl` is what the sheet's relative URLs resolve against and
+   *   `conditions` are the sheet's media attribute and @import conditions as
+   *   [{ name, prelude }], outermost first
+   */
+  async getStylesheetSources(renderingContext, pageUrl) {
+    const { page } = renderingContext;
 
-      // Also try to get CSS from document.styleSheets (for same-origin stylesheets)
-      let sameOriginCSS = '';
-      const styleSheets = Array.from(document.styleSheets);
-      const tryGetSheetText = (sheet) => {
+    const sheets = await page.evaluate(() => {
+      const getRulesText = (sheet) => {
         try {
-          let cssText = '';
-          if (sheet.cssRules) {
-            for (const rule of Array.from(sheet.cssRules)) {
-              cssText += rule.cssText + '\n';
-            }
-          }
-          return cssText;
-        } catch (e) {
-          // CORS or other access issues - will fetch via HTTP instead
-          return '';
+          return Array.from(sheet.cssRules, (rule) => rule.cssText).join('\n');
+        } catch {
+          // Cross-origin sheet - fetched via HTTP instead
+          return null;
         }
       };
 
-      styleSheets.forEach((sheet) => {
-        const sheetText = tryGetSheetText(sheet);
-        if (sheetText.trim()) {
-          sameOriginCSS += sheetText;
+      const documentSheets = Array.from(document.styleSheets).map((sheet) => {
+        const mediaText = sheet.media ? sheet.media.mediaText : '';
+        const media = mediaText && mediaText !== 'all' ? mediaText : null;
+
+        if (sheet.href) {
+          return {
+            type: 'link',
+            url: sheet.href,
+            baseUrl: sheet.href,
+            media,
+            disabled: sheet.disabled,
+            rulesText: getRulesText(sheet),
+          };
         }
+
+        // Author text keeps properties this browser does not support; rules
+        // inserted through the CSSOM (CSS-in-JS) only exist in cssRules
+        const text = sheet.ownerNode?.textContent || '';
+        return {
+          type: 'inline',
+          url: null,
+          baseUrl: document.baseURI,
+          media,
+          disabled: sheet.disabled,
+          rulesText: text.trim() ? text : getRulesText(sheet),
+        };
       });
 
-      return {
-        inlineCSS,
-        externalStylesheetUrls,
-        sameOriginCSS,
-      };
-    });
+      const adoptedSheets = Array.from(
+        document.adoptedStyleSheets || [],
+        (sheet) => ({
+          type: 'adopted',
+          url: null,
+          baseUrl: document.baseURI,
+          media: null,
+          disabled: sheet.disabled,
+          rulesText: getRulesText(sheet),
+        })
+      );
 
-    // Fetch external stylesheets via HTTP (bypasses CORS)
-    let externalCSS = '';
-    if (pageData.externalStylesheetUrls.length > 0) {
-      console.log(`Found ${pageData.externalStylesheetUrls.length} external stylesheet(s), fetching via HTTP...`);
-      const fetchedStylesheets = await this.stylesheetFetcher.fetchMultiple(
-        pageData.externalStylesheetUrls,
-        pageUrl
+      return [...documentSheets, ...adoptedSheets].filter(
+        (sheet) => !sheet.disabled
       );
-      
-      externalCSS = fetchedStylesheets.join('\n');
-      console.log(`Fetched ${fetchedStylesheets.length} stylesheet(s) via HTTP (${externalCSS.length} bytes)`);
+    });
+
+    const getHeaders = (url) =>
+      this.getRequestHeaders(renderingContext, url, pageUrl);
+
+    // Fetch linked sheets in parallel, keeping document order, and inline
+    // the sheets each one pulls in through @import ahead of it
+    const sheetSources = await Promise.all(
+      sheets.map(async (sheet) => {
+        let css = sheet.rulesText;
+        if (sheet.type === 'link') {
+          const fetched = await this.stylesheetFetcher.fetchStylesheet(
+            sheet.url,
+            pageUrl,
+            { getHeaders }
+          );
+          css = fetched ?? sheet.rulesText;
+        }
+
+        const conditions = sheet.media
+          ? [{ name: 'media', prelude: sheet.media }]
+          : [];
+        const source = {
+          type: sheet.type,
+          url: sheet.url,
+          baseUrl: sheet.baseUrl || pageUrl,
+          conditions,
+          css,
+        };
+        if (!css) return [source];
+
+        const parts = await this.stylesheetFetcher.resolveImports(
+          css,
+          source.baseUrl,
+          { conditions, getHeaders }
+        );
+        const ownPart = parts.pop();
+        return [
+          ...parts.map((part) => ({
+            type: 'import',
+            url: part.url,
+            baseUrl: part.url,
+            conditions: part.conditions,
+            css: part.css,
+          })),
+          { ...source, css: ownPart.css },
+        ];
+      })
+    );
+    const sources = sheetSources.flat();
+
+    // Drop empty sheets and earlier duplicates
+    const keys = sources.map(
+      (source) =>
+        `${JSON.stringify(source.conditions)}|${source.url || source.css}`
+    );
+    const orderedSources = sources
+      .filter(
+        (source, index) =>
+          source.css &&
+          source.css.trim() &&
+          keys.lastIndexOf(keys[index]) === index
+      )
+      .map((source, index) => ({ ...source, index }));
+
+    const failedCount = sources.filter((source) => source.css === null).length;
+    if (failedCount > 0) {
+      console.warn(`Could not read ${failedCount} stylesheet(s)`);
     }
+    console.log(
+      `Collected ${orderedSources.length} stylesheet(s) in cascade order (${orderedSources
+        .map((source) => source.type)
+        .join(', ')})`
+    );
 
-    // Combine all CSS: inline + same-origin + fetched external
-    const allCSS = pageData.inlineCSS + pageData.sameOriginCSS + externalCSS;
-    
-    console.log(`Total CSS collected: ${allCSS.length} bytes (inline: ${pageData.inlineCSS.length}, same-origin: ${pageData.sameOriginCSS.length}, external: ${externalCSS.length})`);
-    
-    return allCSS;
+    return orderedSources;
   }
 
   /**
@@ -301,23 +712,29 @@ class PlaywrightRenderer {
    */
   async cleanup(contextId) {
     const context = this.contexts.get(contextId);
-    if (context) {
-      await context.close();
-      this.contexts.delete(contextId);
+    const lease = this.leases.get(contextId);
+    this.contexts.delete(contextId);
+    this.leases.delete(contextId);
+
+    try {
+      await context?.close();
+    } finally {
+      // Return the browser to the pool
+      lease?.release();
     }
   }
 
   /**
    * Clean up all resources
+   * Pooled browsers stay open for the next renderer
    */
   async close() {
     // Close all contexts
-    for (const [contextId, context] of Array.from(this.contexts.entries())) {
-      await context.close();
+    for (const contextId of Array.from(this.contexts.keys())) {
+      await this.cleanup(contextId);
     }
-    this.contexts.clear();
 
-    // Close browser
+    // Close our own browser
     if (this.browser) {
       await this.browser.close();
       this.browser = null;
@@ -340,4 +757,4 @@ class PlaywrightRenderer {
   }
 }
 
-module.exports = { PlaywrightRenderer };
+module.exports = { PlaywrightRenderer, joinStylesheetSources };
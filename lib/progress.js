@@ -0,0 +1,43 @@
+/**
+ * Run one extraction phase and report its start and end to a progress listener
+ *
+ * Listeners receive plain objects:
+ *   { phase, state: 'start' }
+ *   { phase, state: 'end', duration, ...summary }
+ *
+ * @param {Function|undefined} onProgress - Progress listener (optional)
+ * @param {string} phase - Phase name from EXTRACTION_PHASES
+ * @param {Function} fn - async () => result
+ * @param {Function} summarize - (result) => counts to attach to the end event
+ * @returns {Promise<*>} - Result of fn
+ */
+async function trackPhase(onProgress, phase, fn, summarize) {
+  const startTime = Date.now();
+  notify(onProgress, { phase, state: 'start' });
+
+  const result = await fn();
+
+  notify(onProgress, {
+    phase,
+    state: 'end',
+    duration: Date.now() - startTime,
+    ...(summarize ? summarize(result) : {}),
+  });
+
+  return result;
+}
+
+/**
+ * Deliver a progress event, never letting a listener break the extraction
+ */
+function notify(onProgress, event) {
+  if (!onProgress) return;
+
+  try {
+    onProgress(event);
+  } catch (error) {
+    console.warn('Progress listener failed:', error);
+  }
+}
+
+module.exports = { trackPhase, notify };
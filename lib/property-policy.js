@@ -0,0 +1,160 @@
+const { CSS_CONSTANTS } = require('./constants');
+
+const POLICY_MODES = ['allowlist', 'denylist'];
+
+/**
+ * Named property policies
+ * default - the built-in allowlist (CSS_CONSTANTS.ALLOWED_PROPERTIES)
+ * layout-only - only properties that affect geometry and text flow
+ * full-fidelity - every property
+ */
+const PROPERTY_POLICY_PRESETS = {
+  default: {
+    mode: 'allowlist',
+    properties: CSS_CONSTANTS.ALLOWED_PROPERTIES,
+  },
+  'layout-only': {
+    mode: 'allowlist',
+    properties: CSS_CONSTANTS.LAYOUT_PROPERTIES,
+  },
+  'full-fidelity': {
+    mode: 'denylist',
+    properties: [],
+  },
+};
+
+/**
+ * Validate the `propertyPolicy` request field
+ * Either a `preset`, or a `mode` with its `properties`; `overrides` apply to both
+ * @param {*} policy - Value to validate
+ * @returns {string[]} - Error messages
+ */
+function validatePropertyPolicy(policy) {
+  if (policy === undefined) return [];
+
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['propertyPolicy must be an object'];
+  }
+
+  const errors = [];
+  const isCustom = policy.mode !== undefined || policy.properties !== undefined;
+
+  if (
+    policy.preset !== undefined &&
+    !Object.hasOwn(PROPERTY_POLICY_PRESETS, policy.preset)
+  ) {
+    errors.push(
+      `propertyPolicy.preset must be one of: ${Object.keys(PROPERTY_POLICY_PRESETS).join(', ')}`
+    );
+  }
+
+  if (isCustom) {
+    if (policy.preset !== undefined) {
+      errors.push(
+        'propertyPolicy.preset cannot be combined with mode and properties'
+      );
+    }
+
+    if (!POLICY_MODES.includes(policy.mode)) {
+      errors.push(
+        `propertyPolicy.mode must be one of: ${POLICY_MODES.join(', ')}`
+      );
+    }
+
+    if (
+      !Array.isArray(policy.properties) ||
+      !policy.properties.every(isPropertyPattern)
+    ) {
+      errors.push(
+        'propertyPolicy.properties must be an array of property names'
+      );
+    }
+  }
+
+  if (policy.overrides !== undefined) {
+    const { overrides } = policy;
+    if (
+      !overrides ||
+      typeof overrides !== 'object' ||
+      Array.isArray(overrides) ||
+      !Object.entries(overrides).every(
+        ([property, allowed]) =>
+          isPropertyPattern(property) && typeof allowed === 'boolean'
+      )
+    ) {
+      errors.push(
+        'propertyPolicy.overrides must map property names to true (allow) or false (deny)'
+      );
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * A property name, or a prefix followed by * (`margin-*`)
+ */
+function isPropertyPattern(value) {
+  return typeof value === 'string' && /^(?:[\w-]+\*?|\*)$/.test(value);
+}
+
+/**
+ * Resolve a validated `propertyPolicy` field into the effective policy
+ * @param {Object} policy - Request policy (optional)
+ * @returns {Object} - { preset, mode, properties, overrides }
+ */
+function resolvePropertyPolicy(policy = {}) {
+  const isCustom = policy.mode !== undefined;
+  const preset = isCustom ? null : policy.preset || 'default';
+  const base = isCustom ? policy : PROPERTY_POLICY_PRESETS[preset];
+
+  return {
+    preset,
+    mode: base.mode,
+    properties: [...base.properties],
+    overrides: { ...policy.overrides },
+  };
+}
+
+/**
+ * Check a property against a resolved policy
+ * @param {Object} policy - Resolved policy (resolvePropertyPolicy)
+ * @param {string} property - CSS property name
+ * @returns {boolean} - The matching override if any, otherwise whether the
+ *   allowlist/denylist admits the property
+ */
+function isPropertyAllowed(policy, property) {
+  const override = Object.entries(policy.overrides).find(([pattern]) =>
+    matchesPropertyPattern(pattern, property)
+  );
+  if (override) return override[1];
+
+  const listed = policy.properties.some((pattern) =>
+    matchesPropertyPattern(pattern, property)
+  );
+  return policy.mode === 'allowlist' ? listed : !listed;
+}
+
+/**
+ * Check whether a property overrides the policy explicitly
+ * @returns {boolean} - True when an override names the property
+ */
+function hasPropertyOverride(policy, property) {
+  return Object.keys(policy.overrides).some((pattern) =>
+    matchesPropertyPattern(pattern, property)
+  );
+}
+
+function matchesPropertyPattern(pattern, property) {
+  return pattern.endsWith('*')
+    ? property.startsWith(pattern.slice(0, -1))
+    : pattern === property;
+}
+
+module.exports = {
+  PROPERTY_POLICY_PRESETS,
+  validatePropertyPolicy,
+  resolvePropertyPolicy,
+  isPropertyAllowed,
+  hasPropertyOverride,
+};
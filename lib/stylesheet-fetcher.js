@@ -1,6 +1,15 @@
 const https = require('https');
 const http = require('http');
+const crypto = require('crypto');
 const { URL } = require('url');
+const { parse } = require('css-tree');
+const { CSS_CONSTANTS } = require('./constants');
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Headers that may follow a redirect to another origin; the rest can carry
+// the page's credentials
+const CROSS_ORIGIN_HEADERS = new Set(['user-agent', 'accept']);
 
 /**
  * Fetches external stylesheets via HTTP with caching support
@@ -8,26 +17,34 @@ const { URL } = require('url');
  */
 class StylesheetFetcher {
   constructor(options = {}) {
-    this.cache = new Map(); // URL -> { css, expiresAt, etag, lastAccessed }
+    this.cache = new Map(); // cache key -> { css, expiresAt, etag, lastAccessed }
     this.maxCacheSize = options.maxCacheSize || 100;
     this.defaultTTL = options.defaultTTL || 24 * 60 * 60 * 1000; // 24 hours
     this.timeout = options.timeout || 60000; // 60 seconds
     this.retryAttempts = options.retryAttempts || 1;
+    this.maxImportDepth =
+      options.maxImportDepth ?? CSS_CONSTANTS.MAX_IMPORT_DEPTH;
   }
 
   /**
    * Fetch a single stylesheet with caching and retry logic
    * @param {string} url - Stylesheet URL (can be relative)
    * @param {string} pageUrl - Base page URL for resolving relative paths
+   * @param {Object} options - { getHeaders }: async (url) => request headers,
+   *   used to send the page's credentials along
    * @returns {Promise<string|null>} - CSS content or null if failed
    */
-  async fetchStylesheet(url, pageUrl) {
+  async fetchStylesheet(url, pageUrl, options = {}) {
     try {
       // Resolve relative URLs
       const resolvedUrl = this.resolveUrl(url, pageUrl);
-      
+      const headers = options.getHeaders
+        ? await options.getHeaders(resolvedUrl)
+        : {};
+      const cacheKey = this.getCacheKey(resolvedUrl, headers);
+
       // Check cache first
-      const cached = this.getFromCache(resolvedUrl);
+      const cached = this.getFromCache(cacheKey);
       if (cached) {
         console.log(`Cache hit for stylesheet: ${resolvedUrl}`);
         return cached;
@@ -41,7 +58,7 @@ class StylesheetFetcher {
             console.log(`Retrying stylesheet fetch (attempt ${attempt + 1}): ${resolvedUrl}`);
           }
 
-          const result = await this.fetchWithCache(resolvedUrl);
+          const result = await this.fetchWithCache(resolvedUrl, headers);
           return result;
         } catch (error) {
           lastError = error;
@@ -89,6 +106,106 @@ class StylesheetFetcher {
     return successful;
   }
 
+  /**
+   * Inline the @import rules of a stylesheet, recursively
+   * Imported sheets are fetched relative to the sheet that imports them. An
+   * import that would revisit a sheet in its own chain, or go deeper than
+   * maxImportDepth, is dropped.
+   * @param {string} css - Stylesheet text
+   * @param {string} baseUrl - URL of the stylesheet (the page URL for inline styles)
+   * @param {Object} context - { conditions, ancestors } inherited from the
+   *   importing sheet, and { getHeaders } as for fetchStylesheet
+   * @returns {Promise<Object[]>} - [{ url, css, conditions }] in cascade order:
+   *   imported sheets first, then the sheet itself without its @import rules.
+   *   `conditions` are the media, supports and layer conditions of the import
+   *   chain as [{ name, prelude }], outermost first
+   */
+  async resolveImports(css, baseUrl, context = {}) {
+    const { conditions = [], ancestors = [], getHeaders } = context;
+    const imports = this.findImports(css);
+    if (imports.length === 0) {
+      return [{ url: baseUrl, css, conditions }];
+    }
+
+    const parts = [];
+    for (const importRule of imports) {
+      const url = this.resolveUrl(importRule.url, baseUrl);
+
+      if (url === baseUrl || ancestors.includes(url)) {
+        console.warn(`Skipping circular @import of ${url} from ${baseUrl}`);
+        continue;
+      }
+      if (ancestors.length >= this.maxImportDepth) {
+        console.warn(
+          `Skipping @import of ${url}: deeper than ${this.maxImportDepth} levels`
+        );
+        continue;
+      }
+
+      const importedCSS = await this.fetchStylesheet(url, baseUrl, {
+        getHeaders,
+      });
+      if (importedCSS === null) continue;
+
+      parts.push(
+        ...(await this.resolveImports(importedCSS, url, {
+          conditions: [...conditions, ...importRule.conditions],
+          ancestors: [...ancestors, baseUrl],
+          getHeaders,
+        }))
+      );
+    }
+
+    // Cut the @import rules out of the importing sheet, last first so the
+    // earlier offsets stay valid
+    let ownCSS = css;
+    for (const { start, end } of [...imports].reverse()) {
+      ownCSS = ownCSS.slice(0, start) + ownCSS.slice(end);
+    }
+    parts.push({ url: baseUrl, css: ownCSS, conditions });
+
+    return parts;
+  }
+
+  /**
+   * Find the top-level @import rules of a stylesheet
+   * @param {string} css - Stylesheet text
+   * @returns {Object[]} - [{ url, conditions, start, end }] in source order
+   */
+  findImports(css) {
+    if (!/@import/i.test(css)) return [];
+
+    let ast;
+    try {
+      ast = parse(css, {
+        positions: true,
+        parseAtrulePrelude: false,
+        parseRulePrelude: false,
+        parseValue: false,
+      });
+    } catch (error) {
+      console.warn('Failed to parse stylesheet for @import rules:', error.message);
+      return [];
+    }
+
+    const imports = [];
+    for (const node of ast.children) {
+      if (node.type !== 'Atrule' || node.name.toLowerCase() !== 'import') {
+        continue;
+      }
+
+      const importRule = parseImportPrelude(node.prelude?.value || '');
+      if (importRule) {
+        imports.push({
+          ...importRule,
+          start: node.loc.start.offset,
+          end: node.loc.end.offset,
+        });
+      }
+    }
+    return imports;
+  }
+
   /**
    * Resolve a URL against a base URL
    * @param {string} url - URL to resolve (can be relative)
@@ -117,19 +234,42 @@ class StylesheetFetcher {
   }
 
   /**
-   * Check cache for a URL
-   * @param {string} url - URL to check
+   * Cache key for a URL fetched with the given request headers
+   * Responses to requests with credentials or a custom User-Agent are cached
+   * apart from plain ones and from each other's, keyed by a hash so no
+   * credential is kept in a key
+   * @param {string} url - Absolute URL
+   * @param {Object} headers - Request headers
+   * @returns {string} - The URL alone when there are no headers
+   */
+  getCacheKey(url, headers = {}) {
+    const entries = Object.entries(headers).sort(([a], [b]) =>
+      a.localeCompare(b)
+    );
+    if (entries.length === 0) return url;
+
+    const hash = crypto
+      .createHash('sha256')
+      .update(JSON.stringify(entries))
+      .digest('hex')
+      .slice(0, 16);
+    return `${url}#headers-${hash}`;
+  }
+
+  /**
+   * Check cache for a key
+   * @param {string} key - Cache key (getCacheKey)
    * @returns {string|null} - Cached CSS or null
    */
-  getFromCache(url) {
-    const cached = this.cache.get(url);
+  getFromCache(key) {
+    const cached = this.cache.get(key);
     if (!cached) {
       return null;
     }
 
     // Check if expired
     if (Date.now() > cached.expiresAt) {
-      this.cache.delete(url);
+      this.cache.delete(key);
       return null;
     }
 
@@ -140,18 +280,18 @@ class StylesheetFetcher {
 
   /**
    * Store result in cache with LRU eviction
-   * @param {string} url - URL
+   * @param {string} key - Cache key (getCacheKey)
    * @param {string} css - CSS content
    * @param {number} ttl - Time to live in milliseconds
    * @param {string|null} etag - ETag for revalidation
    */
-  setCache(url, css, ttl, etag = null) {
+  setCache(key, css, ttl, etag = null) {
     // Evict oldest entries if at capacity
     if (this.cache.size >= this.maxCacheSize) {
       this.evictLRU();
     }
 
-    this.cache.set(url, {
+    this.cache.set(key, {
       css,
       expiresAt: Date.now() + ttl,
       etag,
@@ -182,15 +322,20 @@ class StylesheetFetcher {
   /**
    * Fetch stylesheet with caching support and ETag revalidation
    * @param {string} url - Absolute URL
+   * @param {Object} headers - Request headers (credentials)
    * @returns {Promise<string>} - CSS content
    */
-  async fetchWithCache(url) {
-    const cached = this.cache.get(url);
+  async fetchWithCache(url, headers = {}) {
+    const cacheKey = this.getCacheKey(url, headers);
+    const cached = this.cache.get(cacheKey);
     
     // Try ETag revalidation if we have a cached entry
     if (cached && cached.etag) {
       try {
-        const result = await this.httpRequest(url, { 'If-None-Match': cached.etag });
+        const result = await this.httpRequest(url, {
+          ...headers,
+          'If-None-Match': cached.etag,
+        });
         
         if (result.statusCode === 304) {
           // Not modified, use cached version
@@ -201,7 +346,7 @@ class StylesheetFetcher {
         
         // New content, cache it
         const ttl = this.parseCacheControl(result.headers) || this.defaultTTL;
-        this.setCache(url, result.body, ttl, result.headers.etag);
+        this.setCache(cacheKey, result.body, ttl, result.headers.etag);
         return result.body;
       } catch (error) {
         // Revalidation failed, try fresh fetch
@@ -210,21 +355,23 @@ class StylesheetFetcher {
     }
 
     // Fresh fetch
-    const result = await this.httpRequest(url);
+    const result = await this.httpRequest(url, headers);
     const ttl = this.parseCacheControl(result.headers) || this.defaultTTL;
-    this.setCache(url, result.body, ttl, result.headers.etag);
+    this.setCache(cacheKey, result.body, ttl, result.headers.etag);
     
     console.log(`Fetched and cached stylesheet: ${url} (${result.body.length} bytes, TTL: ${Math.round(ttl / 1000 / 60)} min)`);
     return result.body;
   }
 
   /**
-   * Make HTTP request with timeout
+   * Make HTTP request with timeout, following up to MAX_REDIRECTS redirects
    * @param {string} url - URL to fetch
-   * @param {Object} headers - Additional headers
+   * @param {Object} headers - Additional headers, overriding the default
+   *   User-Agent and Accept
+   * @param {number} redirectsLeft - Redirects that may still be followed
    * @returns {Promise<Object>} - { statusCode, headers, body }
    */
-  httpRequest(url, headers = {}) {
+  httpRequest(url, headers = {}, redirectsLeft = CSS_CONSTANTS.MAX_REDIRECTS) {
     return new Promise((resolve, reject) => {
       const parsedUrl = new URL(url);
       const client = parsedUrl.protocol === 'https:' ? https : http;
@@ -243,6 +390,13 @@ class StylesheetFetcher {
       };
 
       const req = client.request(options, (res) => {
+        if (REDIRECT_STATUSES.has(res.statusCode) && res.headers.location) {
+          res.resume();
+          this.followRedirect(url, res.headers.location, headers, redirectsLeft)
+            .then(resolve, reject);
+          return;
+        }
+
         let data = '';
         
         res.on('data', (chunk) => {
@@ -282,6 +436,39 @@ class StylesheetFetcher {
     });
   }
 
+  /**
+   * Request the target of a redirect, keeping credentials on the same origin
+   * @returns {Promise<Object>} - { statusCode, headers, body }
+   */
+  followRedirect(url, location, headers, redirectsLeft) {
+    if (redirectsLeft <= 0) {
+      return Promise.reject(new Error(`Too many redirects from ${url}`));
+    }
+
+    let target;
+    try {
+      target = new URL(location, url);
+    } catch {
+      return Promise.reject(new Error(`Invalid redirect location: ${location}`));
+    }
+    if (!['http:', 'https:'].includes(target.protocol)) {
+      return Promise.reject(
+        new Error(`Unsupported redirect location: ${target.href}`)
+      );
+    }
+
+    const sameOrigin = target.origin === new URL(url).origin;
+    const redirectHeaders = sameOrigin
+      ? headers
+      : Object.fromEntries(
+          Object.entries(headers).filter(([name]) =>
+            CROSS_ORIGIN_HEADERS.has(name.toLowerCase())
+          )
+        );
+    console.log(`Following redirect from ${url} to ${target.href}`);
+    return this.httpRequest(target.href, redirectHeaders, redirectsLeft - 1);
+  }
+
   /**
    * Parse Cache-Control header to get TTL
    * @param {Object} headers - Response headers
@@ -346,4 +533,61 @@ class StylesheetFetcher {
   }
 }
 
+/**
+ * Parse an @import prelude: `url(...) [layer | layer(name)] [supports(...)] [media]`
+ * @param {string} prelude - Raw prelude text
+ * @returns {Object|null} - { url, conditions } or null when there is no URL
+ */
+function parseImportPrelude(prelude) {
+  const urlMatch = prelude.match(
+    /^\s*(?:url\(\s*(?:"([^"]*)"|'([^']*)'|([^)\s]*))\s*\)|"([^"]*)"|'([^']*)')/i
+  );
+  if (!urlMatch) return null;
+
+  const url = urlMatch.slice(1).find((group) => group !== undefined);
+  let rest = prelude.slice(urlMatch[0].length).trim();
+  let layer = null;
+  let supports = null;
+
+  const layerMatch = rest.match(/^layer(?![\w-])(?:\(\s*([^)]*?)\s*\))?/i);
+  if (layerMatch) {
+    layer = { name: 'layer', prelude: layerMatch[1] || '' };
+    rest = rest.slice(layerMatch[0].length).trim();
+  }
+
+  if (/^supports\(/i.test(rest)) {
+    const end = findClosingParen(rest, 'supports'.length);
+    if (end !== -1) {
+      const condition = rest.slice('supports('.length, end).trim();
+      // supports(display: grid) is shorthand for supports((display: grid))
+      supports = {
+        name: 'supports',
+        prelude: /^[\w-]+\s*:/.test(condition) ? `(${condition})` : condition,
+      };
+      rest = rest.slice(end + 1).trim();
+    }
+  }
+
+  const conditions = [];
+  if (rest && rest.toLowerCase() !== 'all') {
+    conditions.push({ name: 'media', prelude: rest });
+  }
+  if (supports) conditions.push(supports);
+  if (layer) conditions.push(layer);
+
+  return { url, conditions };
+}
+
+/**
+ * Index of the parenthesis closing the one at `openIndex`, or -1
+ */
+function findClosingParen(text, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    else if (text[i] === ')' && --depth === 0) return i;
+  }
+  return -1;
+}
+
 module.exports = { StylesheetFetcher };
@@ -0,0 +1,139 @@
+const { VIEWPORTS, VIEWPORT_LIMITS } = require('./constants');
+
+// Legacy shorthand for the mobile + desktop pair
+const BOTH_VIEWPORTS = ['mobile', 'desktop'];
+
+/**
+ * Validate the `viewport` request field
+ * Accepts 'both', a preset name, a viewport object or a list of names/objects
+ * @param {*} value - Value to validate
+ * @returns {string[]} - Error messages
+ */
+function validateViewport(value) {
+  if (value === undefined || value === 'both') return [];
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return ['viewport list must not be empty'];
+    }
+    if (value.length > VIEWPORT_LIMITS.MAX_VIEWPORTS) {
+      return [
+        `viewport list must contain at most ${VIEWPORT_LIMITS.MAX_VIEWPORTS} entries`,
+      ];
+    }
+
+    const errors = value.flatMap((entry, index) =>
+      validateViewportEntry(entry).map((error) => `viewport[${index}]: ${error}`)
+    );
+
+    // Names identify results and sizes identify browser contexts, so both
+    // must be unique
+    if (errors.length === 0) {
+      const viewports = value.map(resolveViewportEntry);
+      for (const key of [
+        (viewport) => viewport.name,
+        (viewport) => `${viewport.width}x${viewport.height}`,
+      ]) {
+        const keys = viewports.map(key);
+        const duplicate = keys.find((k, i) => keys.indexOf(k) !== i);
+        if (duplicate) {
+          errors.push(`viewport list contains ${duplicate} more than once`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  return validateViewportEntry(value);
+}
+
+/**
+ * Validate a single preset name or viewport object
+ * @returns {string[]} - Error messages
+ */
+function validateViewportEntry(entry) {
+  if (typeof entry === 'string') {
+    return VIEWPORTS[entry]
+      ? []
+      : [
+          `Viewport must be one of: ${['both', ...Object.keys(VIEWPORTS)].join(', ')}, or a viewport object`,
+        ];
+  }
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return ['Viewport must be a preset name or a viewport object'];
+  }
+
+  const errors = [];
+  const { MIN_SIZE, MAX_SIZE, MAX_DEVICE_SCALE_FACTOR } = VIEWPORT_LIMITS;
+
+  for (const dimension of ['width', 'height']) {
+    const size = entry[dimension];
+    if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+      errors.push(
+        `${dimension} must be an integer between ${MIN_SIZE} and ${MAX_SIZE}`
+      );
+    }
+  }
+
+  if (
+    entry.deviceScaleFactor !== undefined &&
+    (typeof entry.deviceScaleFactor !== 'number' ||
+      entry.deviceScaleFactor <= 0 ||
+      entry.deviceScaleFactor > MAX_DEVICE_SCALE_FACTOR)
+  ) {
+    errors.push(
+      `deviceScaleFactor must be a number greater than 0 and at most ${MAX_DEVICE_SCALE_FACTOR}`
+    );
+  }
+
+  for (const flag of ['isMobile', 'hasTouch']) {
+    if (entry[flag] !== undefined && typeof entry[flag] !== 'boolean') {
+      errors.push(`${flag} must be a boolean`);
+    }
+  }
+
+  if (
+    entry.name !== undefined &&
+    (typeof entry.name !== 'string' || !entry.name.trim())
+  ) {
+    errors.push('name must be a non-empty string');
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve a validated `viewport` field into concrete viewport configurations
+ * @param {*} value - 'both', preset name, viewport object or list of them
+ * @returns {Object[]} - [{ name, width, height, deviceScaleFactor, isMobile, hasTouch }]
+ */
+function resolveViewports(value = 'both') {
+  if (value === 'both') {
+    return BOTH_VIEWPORTS.map(resolveViewportEntry);
+  }
+
+  const entries = Array.isArray(value) ? value : [value];
+  return entries.map(resolveViewportEntry);
+}
+
+/**
+ * Resolve a preset name or custom viewport object, filling in defaults
+ */
+function resolveViewportEntry(entry) {
+  if (typeof entry === 'string') {
+    return { name: entry, ...VIEWPORTS[entry] };
+  }
+
+  return {
+    name: entry.name || `${entry.width}x${entry.height}`,
+    width: entry.width,
+    height: entry.height,
+    deviceScaleFactor: entry.deviceScaleFactor ?? 1,
+    isMobile: entry.isMobile ?? false,
+    hasTouch: entry.hasTouch ?? entry.isMobile ?? false,
+  };
+}
+
+module.exports = { validateViewport, resolveViewports };
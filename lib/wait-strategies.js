@@ -0,0 +1,119 @@
+const { WAIT_LIMITS } = require('./constants');
+
+/**
+ * Ways to decide that a page is ready for the above-fold scan
+ * load, networkidle - the page's load event / no network activity for 500ms
+ * selector - an element matching `selector` is visible
+ * function - the JavaScript `expression` is truthy in the page
+ * delay - a fixed `ms` wait
+ * event - the page dispatches the `name` event on window or document, or sets
+ *   `window[name]` (e.g. `window.__ready = true`)
+ */
+const WAIT_STRATEGY_TYPES = [
+  'load',
+  'networkidle',
+  'selector',
+  'function',
+  'delay',
+  'event',
+];
+
+// Field each strategy type requires
+const REQUIRED_FIELDS = {
+  selector: 'selector',
+  function: 'expression',
+  event: 'name',
+};
+
+/**
+ * Validate the `waitFor` request field (one strategy or a list of them)
+ * @param {*} value - Value to validate
+ * @returns {string[]} - Error messages
+ */
+function validateWaitStrategies(value) {
+  if (value === undefined) return [];
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return ['waitFor list must not be empty'];
+    }
+    if (value.length > WAIT_LIMITS.MAX_STRATEGIES) {
+      return [
+        `waitFor list must contain at most ${WAIT_LIMITS.MAX_STRATEGIES} entries`,
+      ];
+    }
+
+    return value.flatMap((strategy, index) =>
+      validateWaitStrategy(strategy).map(
+        (error) => `waitFor[${index}]: ${error}`
+      )
+    );
+  }
+
+  return validateWaitStrategy(value).map((error) => `waitFor: ${error}`);
+}
+
+/**
+ * Validate a single strategy
+ * @returns {string[]} - Error messages
+ */
+function validateWaitStrategy(strategy) {
+  if (!strategy || typeof strategy !== 'object' || Array.isArray(strategy)) {
+    return ['strategy must be an object'];
+  }
+  if (!WAIT_STRATEGY_TYPES.includes(strategy.type)) {
+    return [`type must be one of: ${WAIT_STRATEGY_TYPES.join(', ')}`];
+  }
+
+  const errors = [];
+  const field = REQUIRED_FIELDS[strategy.type];
+
+  if (
+    field &&
+    (typeof strategy[field] !== 'string' || !strategy[field].trim())
+  ) {
+    errors.push(`${field} must be a non-empty string`);
+  }
+
+  if (
+    strategy.type === 'delay' &&
+    (!Number.isInteger(strategy.ms) ||
+      strategy.ms < 0 ||
+      strategy.ms > WAIT_LIMITS.MAX_DELAY)
+  ) {
+    errors.push(`ms must be an integer between 0 and ${WAIT_LIMITS.MAX_DELAY}`);
+  }
+
+  if (
+    strategy.timeout !== undefined &&
+    (!Number.isInteger(strategy.timeout) ||
+      strategy.timeout <= 0 ||
+      strategy.timeout > WAIT_LIMITS.MAX_TIMEOUT)
+  ) {
+    errors.push(
+      `timeout must be an integer between 1 and ${WAIT_LIMITS.MAX_TIMEOUT}`
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve a validated `waitFor` field into a list of strategies with timeouts
+ * @param {*} value - Strategy object, list of them, or undefined
+ * @returns {Object[]} - [{ type, timeout, ...fields }] (empty when not set)
+ */
+function resolveWaitStrategies(value) {
+  if (value === undefined) return [];
+
+  return [].concat(value).map((strategy) => ({
+    ...strategy,
+    timeout: strategy.timeout || WAIT_LIMITS.DEFAULT_TIMEOUT,
+  }));
+}
+
+module.exports = {
+  WAIT_STRATEGY_TYPES,
+  validateWaitStrategies,
+  resolveWaitStrategies,
+};
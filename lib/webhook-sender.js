@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const https = require('https');
+const http = require('http');
+const { URL } = require('url');
+const { WEBHOOK_CONFIG } = require('./constants');
+
+/**
+ * Delivers signed JSON payloads to callback URLs with retry and backoff
+ *
+ * Each request carries:
+ *   X-Webhook-Timestamp: <unix ms>
+ *   X-Webhook-Delivery:  <delivery id>
+ *   X-Signature-256:     sha256=<hex HMAC of "<timestamp>.<body>">
+ */
+class WebhookSender {
+  constructor(options = {}) {
+    this.secret = options.secret;
+    this.maxAttempts = options.maxAttempts || WEBHOOK_CONFIG.MAX_ATTEMPTS;
+    this.initialDelay =
+      options.initialDelay || WEBHOOK_CONFIG.INITIAL_RETRY_DELAY;
+    this.maxDelay = options.maxDelay || WEBHOOK_CONFIG.MAX_RETRY_DELAY;
+    this.timeout = options.timeout || WEBHOOK_CONFIG.TIMEOUT;
+  }
+
+  /**
+   * Deliver a payload, retrying transient failures with exponential backoff
+   * Never throws: the outcome is returned instead
+   * @param {string} url - Callback URL
+   * @param {Object} payload - JSON payload
+   * @param {string} deliveryId - Stable ID sent with every attempt
+   * @returns {Promise<Object>} - { delivered, attempts, statusCode?, error? }
+   */
+  async deliver(url, payload, deliveryId) {
+    const body = JSON.stringify(payload);
+    const target = new URL(url).host;
+    let lastError = null;
+    let statusCode;
+    let attempts = 0;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      attempts = attempt;
+      try {
+        const response = await this.post(url, body, deliveryId);
+        statusCode = response.statusCode;
+
+        if (statusCode >= 200 && statusCode < 300) {
+          console.log(
+            `Webhook ${deliveryId} delivered to ${target} (attempt ${attempt})`
+          );
+          return { delivered: true, attempts: attempt, statusCode };
+        }
+
+        lastError = new Error(`HTTP ${statusCode}`);
+        if (!this.isRetryableStatus(statusCode)) break;
+      } catch (error) {
+        lastError = error;
+        statusCode = undefined;
+      }
+
+      if (attempt < this.maxAttempts) {
+        const delay = this.getRetryDelay(attempt);
+        console.warn(
+          `Webhook ${deliveryId} to ${target} failed (${lastError.message}), retrying in ${delay}ms`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+
+    console.error(
+      `Webhook ${deliveryId} to ${target} failed permanently: ${lastError?.message}`
+    );
+    return {
+      delivered: false,
+      attempts,
+      statusCode,
+      error: lastError?.message,
+    };
+  }
+
+  /**
+   * Sign a request body
+   * @param {string} body - Serialized JSON body
+   * @param {number} timestamp - Unix timestamp in ms
+   * @returns {string} - Signature header value
+   */
+  sign(body, timestamp) {
+    const hmac = crypto.createHmac('sha256', this.secret);
+    hmac.update(`${timestamp}.${body}`);
+    return `sha256=${hmac.digest('hex')}`;
+  }
+
+  /**
+   * Server errors, timeouts and rate limits are worth retrying; other
+   * client errors will not change on retry
+   */
+  isRetryableStatus(statusCode) {
+    return statusCode >= 500 || statusCode === 408 || statusCode === 429;
+  }
+
+  /**
+   * Exponential backoff with jitter
+   */
+  getRetryDelay(attempt) {
+    const base = Math.min(
+      this.initialDelay * 2 ** (attempt - 1),
+      this.maxDelay
+    );
+    return Math.round(base / 2 + Math.random() * (base / 2));
+  }
+
+  /**
+   * POST a signed JSON body
+   * @returns {Promise<Object>} - { statusCode }
+   */
+  post(url, body, deliveryId) {
+    return new Promise((resolve, reject) => {
+      const parsedUrl = new URL(url);
+      const client = parsedUrl.protocol === 'https:' ? https : http;
+      const timestamp = Date.now();
+
+      const options = {
+        hostname: parsedUrl.hostname,
+        port: parsedUrl.port,
+        path: parsedUrl.pathname + parsedUrl.search,
+        method: 'POST',
+        timeout: this.timeout,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'crit-css-extractor-backend',
+          [WEBHOOK_CONFIG.TIMESTAMP_HEADER]: String(timestamp),
+          [WEBHOOK_CONFIG.DELIVERY_HEADER]: deliveryId,
+          [WEBHOOK_CONFIG.SIGNATURE_HEADER]: this.sign(body, timestamp),
+        },
+      };
+
+      const req = client.request(options, (res) => {
+        // Drain the response; only the status matters
+        res.resume();
+        res.on('end', () => resolve({ statusCode: res.statusCode }));
+      });
+
+      req.on('error', (error) => {
+        reject(new Error(`Request failed: ${error.message}`));
+      });
+
+      req.on('timeout', () => {
+        req.destroy();
+        reject(new Error(`Request timeout after ${this.timeout}ms`));
+      });
+
+      req.end(body);
+    });
+  }
+}
+
+module.exports = { WebhookSender };
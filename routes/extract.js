@@ -1,7 +1,14 @@
 const express = require('express');
-const { CriticalCSSExtractor } = require('../lib/extractor');
-const { VIEWPORTS } = require('../lib/constants');
-const { ValidationError, CriticalExtractionError } = require('../lib/errors');
+const {
+  validateExtractionRequest,
+  validateBatchRequest,
+  validateCrawlRequest,
+  describeExtractionError,
+  runExtraction,
+  runBatchExtraction,
+  runCrawlExtraction,
+  jobQueue,
+} = require('../lib/extraction-service');
 
 const router = express.Router();
 
@@ -11,10 +18,28 @@ const router = express.Router();
  *
  * Request body:
  * {
- *   url: string (required),
- *   viewport: 'mobile' | 'desktop' | 'both' (default: 'both'),
+ *   url: string (required unless html is given),
+ *   html: string (raw HTML to render instead of fetching url),
+ *   css: string | string[] (optional, with html: extra stylesheets),
+ *   baseUrl: string (optional, with html: URL the HTML is served from),
+ *   viewport: 'both' (default) | preset name | viewport object | list of them,
+ *   breakpoints: number[] (optional, px boundaries for combined CSS layers),
  *   includeShadows: boolean (default: false),
- *   userAgent: string (optional)
+ *   includeAnimations: boolean (default: false),
+ *   includeTransitions: boolean (default: false),
+ *   includeHoverStates: boolean (default: false),
+ *   propertyPolicy: { preset } | { mode, properties } (+ overrides) (optional),
+ *   customProperties: 'referenced' | 'inline' (default: 'referenced'),
+ *   includeRemainder: boolean (default: false),
+ *   selectorMatching: 'token' | 'browser' (default: 'token'),
+ *   urlRewrite: 'absolute' | 'root-relative' | 'none' (default: 'absolute'),
+ *   urlBasePath: string (optional, with root-relative: path prefix, default '/'),
+ *   actions: [{ type, selector?, text?, ms?, timeout?, optional? }] (optional),
+ *   waitFor: strategy | strategy[] ({ type, selector?, expression?, name?, ms?, timeout? }) (optional),
+ *   auth: { cookies?, headers?, httpCredentials?, localStorage? } (optional),
+ *   userAgent: string (optional),
+ *   output: 'css' | 'html' (default: 'css'),
+ *   deferStrategy: 'media-swap' | 'preload' (default: 'media-swap')
  * }
  */
 router.post('/extract', async (req, res) => {
@@ -33,169 +58,217 @@ router.post('/extract', async (req, res) => {
       });
     }
 
-    const { url, viewport = 'both', includeShadows = false, userAgent } = body;
-
-    // Create extractor instance
-    const extractor = new CriticalCSSExtractor();
-
-    try {
-      let result;
-
-      if (viewport === 'both') {
-        // Extract for both mobile and desktop
-        result = await extractor.extractForBothViewports(url, {
-          includeShadows,
-          userAgent,
-        });
-
-        // Log extraction metrics
-        const processingTime = Date.now() - startTime;
-        console.log(`Extraction completed for ${url} in ${processingTime}ms`);
-        console.log(
-          `Mobile CSS: ${result.mobile.size} bytes, Desktop CSS: ${result.desktop.size} bytes`
-        );
-
-        res.json({
-          success: true,
-          url,
-          viewport: 'both',
-          mobile: {
-            css: result.mobile.criticalCSS,
-            size: result.mobile.size,
-            extractionTime: result.mobile.extractionTime,
-          },
-          desktop: {
-            css: result.desktop.criticalCSS,
-            size: result.desktop.size,
-            extractionTime: result.desktop.extractionTime,
-          },
-          combined: {
-            css: result.combined,
-            size: result.combined.length,
-          },
-          processingTime,
-        });
-      } else {
-        // Extract for specific viewport
-        const viewportConfig =
-          viewport === 'mobile' ? VIEWPORTS.mobile : VIEWPORTS.desktop;
-
-        const singleResult = await extractor.extractCriticalCSS({
-          url,
-          viewport: viewportConfig,
-          includeShadows,
-          userAgent,
-        });
-
-        // Validate extraction result
-        const validation = extractor.validateExtraction(singleResult);
-
-        // Log extraction metrics
-        const processingTime = Date.now() - startTime;
-        console.log(
-          `Extraction completed for ${url} (${viewport}) in ${processingTime}ms`
-        );
-        console.log(`CSS size: ${singleResult.size} bytes`);
-
-        res.json({
-          success: true,
-          url,
-          viewport,
-          css: singleResult.criticalCSS,
-          size: singleResult.size,
-          extractionTime: singleResult.extractionTime,
-          validation,
-          processingTime,
-        });
-      }
-    } finally {
-      // Clean up extractor resources
-      await extractor.close();
-    }
+    // Wait for a slot shared with queued jobs
+    const result = await jobQueue.run(() => runExtraction(body));
+    const processingTime = Date.now() - startTime;
+
+    res.json({
+      ...result,
+      processingTime,
+    });
   } catch (error) {
     const processingTime = Date.now() - startTime;
     console.error(`Extraction failed after ${processingTime}ms:`, error);
 
-    if (error instanceof ValidationError) {
-      return res.status(400).json({
-        error: 'Validation error',
-        message: error.message,
-        processingTime,
-      });
-    } else if (error instanceof CriticalExtractionError) {
-      return res.status(500).json({
-        error: 'Extraction failed',
-        message: error.message,
-        processingTime,
-      });
-    } else {
-      return res.status(500).json({
-        error: 'Internal server error',
-        message: 'An unexpected error occurred',
-        processingTime,
-      });
-    }
+    const { status, error: errorLabel, message } =
+      describeExtractionError(error);
+    return res.status(status).json({
+      error: errorLabel,
+      message,
+      processingTime,
+    });
   }
 });
 
 /**
- * GET /api/extract
- * Method not allowed - extraction requires POST
+ * POST /api/extract/stream
+ * Same as POST /api/extract, but streams progress as Server-Sent Events
+ *
+ * Events:
+ *   progress - { phase, state: 'start' | 'end', viewport, elapsed, duration?, ...counts }
+ *   result   - same payload as POST /api/extract
+ *   error    - { error, message, processingTime }
  */
-router.get('/extract', (req, res) => {
-  res.status(405).json({
-    error: 'Method not allowed',
-    message: 'Please use POST to extract critical CSS',
+router.post('/extract/stream', async (req, res) => {
+  const startTime = Date.now();
+  const body = req.body;
+
+  // Validate input before switching to an event stream
+  const validationResult = validateExtractionRequest(body);
+  if (!validationResult.isValid) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: validationResult.errors,
+    });
+  }
+
+  // Refuse before switching to an event stream when too many are waiting
+  if (jobQueue.isFull()) {
+    return res.status(503).set('Retry-After', '30').json({
+      error: 'Service unavailable',
+      message: `Too many extractions are waiting (${jobQueue.maxPending}); retry later`,
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+  });
+
+  let clientConnected = true;
+  res.on('close', () => {
+    clientConnected = false;
   });
+
+  const sendEvent = (event, data) => {
+    if (!clientConnected) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Comment lines keep idle proxies from closing the connection
+  const heartbeat = setInterval(() => {
+    if (clientConnected) res.write(': heartbeat\n\n');
+  }, 15000);
+
+  try {
+    const result = await jobQueue.run(() =>
+      runExtraction(body, {
+        onProgress: (event) =>
+          sendEvent('progress', {
+            ...event,
+            elapsed: Date.now() - startTime,
+          }),
+      })
+    );
+
+    sendEvent('result', {
+      ...result,
+      processingTime: Date.now() - startTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error(`Extraction failed after ${processingTime}ms:`, error);
+
+    const { error: errorLabel, message } = describeExtractionError(error);
+    sendEvent('error', {
+      error: errorLabel,
+      message,
+      processingTime,
+    });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
 });
 
 /**
- * Validate extraction request body
- * @param {Object} body - Request body
- * @returns {Object} { isValid: boolean, errors: string[] }
+ * POST /api/extract/batch
+ * Extract critical CSS for many URLs with one browser and shared options
+ *
+ * Request body:
+ * {
+ *   urls: string[] (required, max PERFORMANCE_CONFIG.MAX_BATCH_SIZE),
+ *   viewport, includeShadows, userAgent: same as POST /api/extract
+ * }
  */
-function validateExtractionRequest(body) {
-  const errors = [];
-
-  // Check required fields
-  if (!body.url || typeof body.url !== 'string') {
-    errors.push('URL is required and must be a string');
-  } else {
-    // Validate URL format
-    try {
-      new URL(body.url);
-
-      // Check if URL is accessible (http/https)
-      const url = new URL(body.url);
-      if (!['http:', 'https:'].includes(url.protocol)) {
-        errors.push('URL must use HTTP or HTTPS protocol');
-      }
-    } catch {
-      errors.push('URL is not valid');
+router.post('/extract/batch', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const body = req.body;
+
+    // Validate input
+    const validationResult = validateBatchRequest(body);
+    if (!validationResult.isValid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: validationResult.errors,
+      });
     }
-  }
 
-  // Validate viewport option
-  if (body.viewport && !['mobile', 'desktop', 'both'].includes(body.viewport)) {
-    errors.push('Viewport must be one of: mobile, desktop, both');
-  }
+    const result = await jobQueue.run(() => runBatchExtraction(body));
+    const processingTime = Date.now() - startTime;
 
-  // Validate boolean options
-  if (
-    body.includeShadows !== undefined &&
-    typeof body.includeShadows !== 'boolean'
-  ) {
-    errors.push('includeShadows must be a boolean');
+    res.json({
+      ...result,
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error(`Batch extraction failed after ${processingTime}ms:`, error);
+
+    const { status, error: errorLabel, message } =
+      describeExtractionError(error);
+    return res.status(status).json({
+      error: errorLabel,
+      message,
+      processingTime,
+    });
   }
+});
+
+/**
+ * POST /api/extract/crawl
+ * Discover pages from a sitemap or same-origin crawl, group them by template
+ * and extract critical CSS once per template
+ *
+ * Request body:
+ * {
+ *   sitemapUrl: string (one of sitemapUrl / startUrl required),
+ *   startUrl: string,
+ *   maxDepth: number (crawl only, default: 2),
+ *   maxPages: number (default: 50),
+ *   similarityThreshold: number 0-1 (default: 0.8),
+ *   viewport, includeShadows, userAgent: same as POST /api/extract
+ * }
+ */
+router.post('/extract/crawl', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const body = req.body;
+
+    // Validate input
+    const validationResult = validateCrawlRequest(body);
+    if (!validationResult.isValid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        details: validationResult.errors,
+      });
+    }
 
-  if (body.userAgent !== undefined && typeof body.userAgent !== 'string') {
-    errors.push('userAgent must be a string');
+    const result = await jobQueue.run(() => runCrawlExtraction(body));
+    const processingTime = Date.now() - startTime;
+
+    res.json({
+      ...result,
+      processingTime,
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error(`Crawl extraction failed after ${processingTime}ms:`, error);
+
+    const { status, error: errorLabel, message } =
+      describeExtractionError(error);
+    return res.status(status).json({
+      error: errorLabel,
+      message,
+      processingTime,
+    });
   }
+});
 
-  return {
-    isValid: errors.length === 0,
-    errors,
-  };
-}
+/**
+ * GET /api/extract
+ * Method not allowed - extraction requires POST
+ */
+router.get('/extract', (req, res) => {
+  res.status(405).json({
+    error: 'Method not allowed',
+    message: 'Please use POST to extract critical CSS',
+  });
+});
 
 module.exports = router;
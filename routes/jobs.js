@@ -0,0 +1,183 @@
+const express = require('express');
+const {
+  validateExtractionRequest,
+  validateBatchRequest,
+  validateCrawlRequest,
+  runExtraction,
+  runBatchExtraction,
+  runCrawlExtraction,
+  jobQueue,
+} = require('../lib/extraction-service');
+const { JOB_STATUS } = require('../lib/job-queue');
+const { WebhookSender } = require('../lib/webhook-sender');
+const rateLimiter = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+// Callbacks are only possible when payloads can be signed
+const webhookSender = process.env.WEBHOOK_SECRET
+  ? new WebhookSender({ secret: process.env.WEBHOOK_SECRET })
+  : null;
+
+// Extraction modes a job can run, keyed by the name reported on the job
+const JOB_MODES = {
+  single: {
+    validate: validateExtractionRequest,
+    run: runExtraction,
+    describe: (body) => ({ url: body.url || body.baseUrl || null }),
+  },
+  batch: {
+    validate: validateBatchRequest,
+    run: runBatchExtraction,
+    describe: (body) => ({ urls: body.urls.length }),
+  },
+  crawl: {
+    validate: validateCrawlRequest,
+    run: runCrawlExtraction,
+    describe: (body) => ({ url: body.sitemapUrl || body.startUrl }),
+  },
+};
+
+/**
+ * Pick the job mode from the shape of the request body
+ */
+function getJobMode(body) {
+  if (Array.isArray(body.urls)) return 'batch';
+  if (body.sitemapUrl || body.startUrl) return 'crawl';
+  return 'single';
+}
+
+/**
+ * Validate the optional callbackUrl of a job request
+ * @returns {string[]} - Error messages
+ */
+function validateCallbackUrl(callbackUrl) {
+  if (callbackUrl === undefined) return [];
+
+  if (!webhookSender) {
+    return [
+      'callbackUrl requires WEBHOOK_SECRET to be configured on the server',
+    ];
+  }
+
+  try {
+    const url = new URL(callbackUrl);
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return ['callbackUrl must use HTTP or HTTPS protocol'];
+    }
+  } catch {
+    return ['callbackUrl is not valid'];
+  }
+
+  return [];
+}
+
+/**
+ * POST the settled job to its callback URL and record the outcome on the job
+ */
+async function deliverCallback(callbackUrl, job) {
+  const event =
+    job.status === JOB_STATUS.DONE
+      ? 'extraction.completed'
+      : 'extraction.failed';
+
+  // The callback status is still pending from the job's point of view
+  const { callback, ...payload } = job;
+  const outcome = await webhookSender.deliver(
+    callbackUrl,
+    { event, ...payload },
+    job.id
+  );
+
+  jobQueue.annotate(job.id, {
+    callback: {
+      status: outcome.delivered ? 'delivered' : 'failed',
+      attempts: outcome.attempts,
+      statusCode: outcome.statusCode,
+    },
+  });
+}
+
+/**
+ * POST /api/jobs
+ * Queue an extraction and return immediately with a job ID
+ *
+ * Request body: same as POST /api/extract, as POST /api/extract/batch when a
+ * `urls` array is given, or as POST /api/extract/crawl when a `sitemapUrl` or
+ * `startUrl` is given, plus:
+ * {
+ *   callbackUrl: string (optional, receives the signed result via POST)
+ * }
+ */
+router.post('/jobs', rateLimiter, (req, res) => {
+  const { callbackUrl, ...body } = req.body;
+  const mode = getJobMode(body);
+
+  // Validate input
+  const validationResult = JOB_MODES[mode].validate(body);
+  validationResult.errors.push(...validateCallbackUrl(callbackUrl));
+  if (validationResult.errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: validationResult.errors,
+    });
+  }
+
+  // Refuse new jobs while too many are waiting for a slot
+  if (jobQueue.isFull()) {
+    return res.status(503).set('Retry-After', '30').json({
+      error: 'Service unavailable',
+      message: `Too many extractions are waiting (${jobQueue.maxPending}); retry later`,
+    });
+  }
+
+  const job = jobQueue.enqueue(
+    async (onProgress) => {
+      const startTime = Date.now();
+      const result = await JOB_MODES[mode].run(body, { onProgress });
+      return {
+        ...result,
+        processingTime: Date.now() - startTime,
+      };
+    },
+    {
+      mode,
+      ...JOB_MODES[mode].describe(body),
+      viewport: body.viewport || 'both',
+      callback: callbackUrl ? { status: 'pending' } : undefined,
+    },
+    {
+      onSettled: callbackUrl
+        ? (settledJob) => deliverCallback(callbackUrl, settledJob)
+        : undefined,
+    }
+  );
+
+  res
+    .status(202)
+    .location(`${req.baseUrl}/jobs/${job.id}`)
+    .json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+    });
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get the status of a queued extraction and its result once done
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `No job with ID ${req.params.id} (finished jobs expire after 1 hour)`,
+    });
+  }
+
+  res.json(job);
+});
+
+module.exports = router;
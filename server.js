@@ -1,7 +1,12 @@
 const express = require('express');
 const cors = require('cors');
 const extractRoute = require('./routes/extract');
+const jobsRoute = require('./routes/jobs');
 const rateLimiter = require('./middleware/rateLimiter');
+const {
+  getBrowserPoolStats,
+  closeBrowserPool,
+} = require('./lib/extraction-service');
 
 const app = express();
 
@@ -21,6 +26,7 @@ app.use('/api/extract', rateLimiter);
 
 // Routes
 app.use('/api', extractRoute);
+app.use('/api', jobsRoute);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -28,6 +34,7 @@ app.get('/health', (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     service: 'crit-css-extractor-backend',
+    browserPool: getBrowserPoolStats(),
   });
 });
 
@@ -38,6 +45,10 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       extract: '/api/extract (POST)',
+      stream: '/api/extract/stream (POST, Server-Sent Events)',
+      batch: '/api/extract/batch (POST)',
+      crawl: '/api/extract/crawl (POST)',
+      jobs: '/api/jobs (POST), /api/jobs/:id (GET)',
     },
     documentation:
       'Send POST to /api/extract with { url, viewport, includeShadows }',
@@ -57,8 +68,24 @@ app.use((err, req, res, next) => {
 });
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`✅ Backend running on port ${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
 });
+
+// Close the pooled browsers on shutdown so no Chromium outlives the server
+async function shutdown(signal) {
+  console.log(`${signal} received, shutting down`);
+  server.close();
+
+  try {
+    await closeBrowserPool();
+  } catch (error) {
+    console.error('Failed to close the browser pool:', error.message);
+  }
+  process.exit(0);
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
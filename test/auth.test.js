@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getAuthHeaders, getCookieHeader } = require('../lib/auth');
+
+test('cookies are sent where the browser would send them', () => {
+  const cookies = [
+    { name: 'host', value: '1' },
+    { name: 'site', value: '2', domain: '.example.com' },
+    { name: 'admin', value: '3', domain: 'example.com', path: '/admin' },
+    { name: 'secure', value: '4', secure: true },
+    { name: 'expired', value: '5', expires: 1 },
+  ];
+  const pageUrl = 'https://example.com/';
+
+  assert.equal(
+    getCookieHeader(cookies, 'https://example.com/sitemap.xml', pageUrl),
+    'host=1; site=2; secure=4'
+  );
+  assert.equal(
+    getCookieHeader(cookies, 'http://example.com/admin/sitemap.xml', pageUrl),
+    'host=1; site=2; admin=3'
+  );
+  assert.equal(
+    getCookieHeader(cookies, 'https://cdn.example.com/sitemap.xml', pageUrl),
+    'site=2'
+  );
+  assert.equal(
+    getCookieHeader(cookies, 'https://example.com/administrator', pageUrl),
+    'host=1; site=2; secure=4'
+  );
+  assert.equal(
+    getCookieHeader(cookies, 'https://other.test/', pageUrl),
+    null
+  );
+});
+
+test('extra headers and basic auth are only sent to the page origin', () => {
+  const auth = {
+    headers: { 'X-Token': 't' },
+    httpCredentials: { username: 'u', password: 'p' },
+  };
+  const pageUrl = 'https://example.com/';
+
+  assert.deepEqual(getAuthHeaders(auth, 'https://example.com/a.css', pageUrl), {
+    'X-Token': 't',
+    Authorization: `Basic ${Buffer.from('u:p').toString('base64')}`,
+  });
+  assert.deepEqual(
+    getAuthHeaders(auth, 'https://cdn.test/a.css', pageUrl),
+    {}
+  );
+  assert.deepEqual(
+    getAuthHeaders(auth, 'https://fonts.example.com/a.css', pageUrl),
+    {}
+  );
+});
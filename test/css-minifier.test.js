@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CSSParser } = require('../lib/css-parser');
+const { CSSMinifier } = require('../lib/css-minifier');
+
+function minify(css) {
+  const parser = new CSSParser({
+    propertyPolicy: { preset: 'full-fidelity' },
+  });
+  return new CSSMinifier({ parser }).minify(parser.parseCSS(css)).css;
+}
+
+test('repeated selectors are folded with the later values winning', () => {
+  assert.equal(
+    minify('.btn{color:red}.card{margin:0}.btn{color:blue}'),
+    '.btn{color:red;color:blue}.card{margin:0}'
+  );
+});
+
+test('rules are not folded across a rule setting an overlapping property', () => {
+  const cases = [
+    '.a{line-height:1}.b{font:14px/3 serif}.a{color:red;line-height:2}',
+    '.a{top:0}.b{inset:1px}.a{top:2px}',
+    '.a{row-gap:1px}.b{gap:2px}.a{row-gap:3px}',
+    '.a{align-items:start}.b{place-items:end}.a{align-items:center}',
+    '.a{column-count:2}.b{columns:3}.a{column-count:4}',
+  ];
+  for (const css of cases) {
+    const output = minify(css);
+    assert.equal(
+      output.match(/\.a\{/g).length,
+      2,
+      `${css} was folded into ${output}`
+    );
+  }
+});
+
+test('rules are folded across rules setting unrelated properties', () => {
+  assert.equal(
+    minify('.a{line-height:1}.b{color:red}.a{line-height:2}'),
+    '.a{line-height:1;line-height:2}.b{color:red}'
+  );
+});
+
+test('longhands are not merged next to an overlapping property', () => {
+  assert.equal(
+    minify(
+      '.a{margin-top:0;margin-inline-start:1px;margin-right:0;margin-bottom:0;margin-left:0}'
+    ),
+    '.a{margin-top:0;margin-inline-start:1px;margin-right:0;margin-bottom:0;margin-left:0}'
+  );
+  assert.equal(
+    minify('.a{row-gap:1px;grid-gap:2px;column-gap:1px}'),
+    '.a{row-gap:1px;grid-gap:2px;column-gap:1px}'
+  );
+});
+
+test('zero lengths keep their unit where a bare 0 means something else', () => {
+  assert.equal(
+    minify('.a{flex:1 0px;flex-basis:0px;line-height:0px;margin:0px}'),
+    '.a{flex:1 0px;flex-basis:0px;line-height:0px;margin:0}'
+  );
+});
@@ -0,0 +1,259 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { CriticalCSSExtractor } = require('../lib/extractor');
+const { CSSParser } = require('../lib/css-parser');
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+/**
+ * Parse a fixture with the parser an extraction builds from request options
+ */
+function parseFixture(name, options = {}) {
+  const parser = new CriticalCSSExtractor().createParser(options);
+  return parser.parseCSS(fixture(name));
+}
+
+function declarationsOf(rules, selector) {
+  const rule = rules.find((candidate) => candidate.selector === selector);
+  return rule ? rule.declarations.map(({ property }) => property) : null;
+}
+
+test('shadows are dropped by default and kept with includeShadows', () => {
+  const defaults = declarationsOf(parseFixture('toggles.css'), '.card');
+  assert.ok(!defaults.includes('box-shadow'));
+  assert.ok(!defaults.includes('text-shadow'));
+
+  const withShadows = declarationsOf(
+    parseFixture('toggles.css', { includeShadows: true }),
+    '.card'
+  );
+  assert.ok(withShadows.includes('box-shadow'));
+  assert.ok(withShadows.includes('text-shadow'));
+});
+
+test('transitions are dropped by default and kept with includeTransitions', () => {
+  assert.ok(
+    !declarationsOf(parseFixture('toggles.css'), '.card').includes('transition')
+  );
+  assert.ok(
+    declarationsOf(
+      parseFixture('toggles.css', { includeTransitions: true }),
+      '.card'
+    ).includes('transition')
+  );
+});
+
+test(':hover rules are dropped by default and kept with includeHoverStates', () => {
+  assert.equal(declarationsOf(parseFixture('toggles.css'), '.card:hover'), null);
+  assert.deepEqual(
+    declarationsOf(
+      parseFixture('toggles.css', { includeHoverStates: true }),
+      '.card:hover'
+    ),
+    ['color']
+  );
+});
+
+test('toggles change the generated CSS', () => {
+  const parser = new CriticalCSSExtractor().createParser({
+    includeShadows: true,
+    includeTransitions: true,
+    includeHoverStates: true,
+  });
+  const css = parser.generateCSS(parser.parseCSS(fixture('toggles.css')));
+  assert.match(css, /box-shadow:/);
+  assert.match(css, /transition:\s*opacity/);
+  assert.match(css, /\.card:hover/);
+
+  const defaultParser = new CriticalCSSExtractor().createParser();
+  const defaultCss = defaultParser.generateCSS(
+    defaultParser.parseCSS(fixture('toggles.css'))
+  );
+  assert.doesNotMatch(defaultCss, /shadow|transition|:hover/);
+});
+
+test('remainder keeps critical longhands that an earlier shorthand overrides', () => {
+  const parser = new CriticalCSSExtractor().createParser();
+  const css = '.b{font:12px/1 serif}.a{line-height:2;color:red}';
+  const critical = parser
+    .parseCSS(css)
+    .filter((rule) => rule.selector === '.a');
+
+  const remainder = parser.generateRemainderCSS(css, critical);
+  // line-height must still follow `font` once the remainder loads
+  assert.match(remainder, /\.a\{line-height:2\}/);
+  assert.doesNotMatch(remainder, /color:red/);
+});
+
+test('remainder drops critical declarations no earlier rule overlaps', () => {
+  const parser = new CriticalCSSExtractor().createParser();
+  const css = '.b{color:blue}.a{line-height:2}';
+  const critical = parser
+    .parseCSS(css)
+    .filter((rule) => rule.selector === '.a');
+
+  assert.equal(parser.generateRemainderCSS(css, critical), '.b{color:blue}');
+});
+
+test('none values are dropped by default and kept with full-fidelity', () => {
+  assert.deepEqual(declarationsOf(parseFixture('none-values.css'), '.menu'), [
+    'color',
+  ]);
+
+  const fullFidelity = parseFixture('none-values.css', {
+    propertyPolicy: { preset: 'full-fidelity' },
+  });
+  assert.deepEqual(declarationsOf(fullFidelity, '.menu'), [
+    'display',
+    'max-width',
+    'text-decoration',
+    'list-style',
+    'color',
+  ]);
+});
+
+test('an allowing override keeps none values of its property', () => {
+  const rules = parseFixture('none-values.css', {
+    propertyPolicy: { overrides: { display: true } },
+  });
+  assert.deepEqual(declarationsOf(rules, '.menu'), ['display', 'color']);
+});
+
+test('::before and ::after rules keep their content', () => {
+  for (const preset of ['default', 'layout-only']) {
+    const rules = parseFixture('pseudo-elements.css', {
+      propertyPolicy: { preset },
+    });
+    assert.ok(declarationsOf(rules, '.icon::before').includes('content'));
+    assert.ok(declarationsOf(rules, '.clearfix::after').includes('content'));
+  }
+});
+
+test('names inside nested :not() never make a token match', () => {
+  const parser = new CSSParser();
+  const rules = parser.parseCSS(
+    ':not(:is(.a, .b)){color:red}.c:not(:is(.a, .b)){color:blue}'
+  );
+  assert.deepEqual(
+    parser.filterCSSRules(rules, new Set(['.a'])).map((rule) => rule.selector),
+    []
+  );
+  assert.deepEqual(
+    parser.filterCSSRules(rules, new Set(['.c'])).map((rule) => rule.selector),
+    ['.c:not(:is(.a,.b))']
+  );
+});
+
+test('token matching defers pseudo-elements and structural selectors to the page', () => {
+  const parser = new CSSParser();
+  const rules = parser.parseCSS(
+    'li:nth-child(2){color:red}li{color:blue}.x::before{content:""}'
+  );
+  const tokens = new Set(['li', '.x']);
+
+  // Without a page check every token match counts
+  assert.equal(parser.filterCSSRules(rules, tokens).length, 3);
+
+  // The page found neither a second li nor a rendered ::before
+  assert.deepEqual(
+    parser
+      .filterCSSRules(rules, tokens, { browserMatches: new Set() })
+      .map((rule) => rule.selector),
+    ['li']
+  );
+  assert.deepEqual(
+    parser
+      .filterCSSRules(rules, tokens, {
+        browserMatches: new Set(['li:nth-child(2)', '.x::before']),
+      })
+      .map((rule) => rule.selector),
+    ['li:nth-child(2)', 'li', '.x::before']
+  );
+});
+
+test('only global custom properties are inlined', () => {
+  const parser = new CSSParser();
+  const allRules = parser.parseCSS(`
+    :root { --brand: red; --bg: #fff; }
+    @media (prefers-color-scheme: dark) { :root { --bg: #000; } }
+    .card { --gap: 8px; }
+    .footer { --brand: blue; }
+    :root { --accent: var(--brand-dark); --ink: #111; }
+    .title { color: var(--ink); background: var(--bg); margin: var(--gap); }
+    .link { color: var(--brand); border-color: var(--undefined, green); }
+  `);
+  const critical = allRules.filter((rule) =>
+    ['.title', '.link'].includes(rule.selector)
+  );
+
+  const inlined = parser.inlineCustomProperties(critical, allRules);
+  const values = Object.fromEntries(
+    inlined.flatMap((rule) =>
+      rule.declarations.map(({ property, value }) => [
+        `${rule.selector} ${property}`,
+        value,
+      ])
+    )
+  );
+
+  // Single unconditional :root value
+  assert.equal(values['.title color'], '#111');
+  // Redefined under @media
+  assert.equal(values['.title background'], 'var(--bg)');
+  // Defined on a class, not globally
+  assert.equal(values['.title margin'], 'var(--gap)');
+  // Also defined by a non-critical rule
+  assert.equal(values['.link color'], 'var(--brand)');
+  // Undefined in the stylesheets: an inline style may still set it
+  assert.equal(values['.link border-color'], 'var(--undefined,green)');
+});
+
+test('rewriteUrls resolves url() against the sheet it came from', () => {
+  const parser = new CSSParser();
+  const css = `@media (min-width: 1px) { .a { background: url(img/bg.png); } }
+    @font-face { src: url("fonts/a.woff2") format("woff2"); }
+    .b { --icon: url(icon.svg); mask: url(#m); }
+    .c { background: url(data:image/png;base64,AA), url(https://cdn.test/x.png); }`;
+  const rewrite = (baseUrl, options) =>
+    parser.rewriteUrls(css, baseUrl, {
+      pageUrl: 'https://example.com/shop/',
+      ...options,
+    });
+
+  const main = rewrite('https://example.com/css/main.css');
+  assert.match(main, /url\(https:\/\/example\.com\/css\/img\/bg\.png\)/);
+
+  // An imported sheet in another directory resolves against its own URL
+  const nested = rewrite('https://example.com/css/nested/c.css');
+  assert.match(
+    nested,
+    /url\(https:\/\/example\.com\/css\/nested\/img\/bg\.png\)/
+  );
+  assert.match(
+    nested,
+    /url\(https:\/\/example\.com\/css\/nested\/fonts\/a\.woff2\)/
+  );
+  assert.match(
+    nested,
+    /--icon: url\(https:\/\/example\.com\/css\/nested\/icon\.svg\)/
+  );
+  // Fragments, data URIs and absolute URLs are left as written
+  assert.match(nested, /url\(#m\)/);
+  assert.match(nested, /url\(data:image\/png;base64,AA\)/);
+  assert.match(nested, /url\(https:\/\/cdn\.test\/x\.png\)/);
+
+  const rootRelative = rewrite('https://example.com/css/nested/c.css', {
+    mode: 'root-relative',
+    basePath: '/static/',
+  });
+  assert.match(rootRelative, /url\(\/static\/css\/nested\/img\/bg\.png\)/);
+  assert.match(rootRelative, /url\(https:\/\/cdn\.test\/x\.png\)/);
+
+  assert.equal(
+    rewrite('https://example.com/css/main.css', { mode: 'none' }),
+    css
+  );
+});
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toTestableSelector } = require('../lib/dom-utils');
+
+test('user-action pseudo-classes match on the host element', () => {
+  assert.deepEqual(toTestableSelector('.btn:hover'), {
+    testable: '.btn:is(*)',
+    pseudo: null,
+  });
+});
+
+test('negated user-action pseudo-classes do not rule the host out', () => {
+  assert.equal(toTestableSelector('.a:not(:hover)').testable, '.a:is(*)');
+  assert.equal(toTestableSelector('.a:not(.x:focus)').testable, '.a:is(*)');
+  assert.equal(
+    toTestableSelector('.a:not(:hover, .b)').testable,
+    '.a:not(.b)'
+  );
+  assert.equal(toTestableSelector('.a:not(.b)').testable, '.a:not(.b)');
+});
+
+test('::before and ::after are split off', () => {
+  assert.deepEqual(toTestableSelector('.icon:not(:focus)::before'), {
+    testable: '.icon:is(*):is(*)',
+    pseudo: 'before',
+  });
+});
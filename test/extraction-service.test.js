@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+  validateExtractionRequest,
+  validateBatchRequest,
+  validateCrawlRequest,
+  runCrawlExtraction,
+} = require('../lib/extraction-service');
+const { ValidationError } = require('../lib/errors');
+
+const CALLBACK_ERROR = /^callbackUrl is only supported by POST \/api\/jobs/;
+
+test('synchronous endpoints reject callbackUrl', () => {
+  const callbackUrl = 'https://example.com/hook';
+  const results = [
+    validateExtractionRequest({ url: 'https://example.com/', callbackUrl }),
+    validateBatchRequest({ urls: ['https://example.com/'], callbackUrl }),
+    validateCrawlRequest({ startUrl: 'https://example.com/', callbackUrl }),
+  ];
+
+  for (const result of results) {
+    assert.equal(result.isValid, false);
+    assert.ok(result.errors.some((error) => CALLBACK_ERROR.test(error)));
+  }
+});
+
+test('batch and crawl requests reject html, css and baseUrl', () => {
+  const rawDocument = {
+    html: '<p>Hi</p>',
+    css: 'p { color: red; }',
+    baseUrl: 'https://example.com/',
+  };
+  const results = [
+    validateBatchRequest({ urls: ['https://example.com/'], ...rawDocument }),
+    validateCrawlRequest({ startUrl: 'https://example.com/', ...rawDocument }),
+  ];
+
+  for (const result of results) {
+    assert.equal(result.isValid, false);
+    for (const field of Object.keys(rawDocument)) {
+      assert.ok(
+        result.errors.some((error) =>
+          error.startsWith(`${field} is only supported for single-page`)
+        )
+      );
+    }
+  }
+});
+
+test('requests without callbackUrl stay valid', () => {
+  assert.deepEqual(
+    validateBatchRequest({ urls: ['https://example.com/'] }).errors,
+    []
+  );
+});
+
+test('a crawl that discovers no pages fails', async () => {
+  const server = http.createServer((req, res) =>
+    res.end('<?xml version="1.0"?><urlset></urlset>')
+  );
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const sitemapUrl = `http://127.0.0.1:${server.address().port}/sitemap.xml`;
+
+  try {
+    await assert.rejects(
+      runCrawlExtraction({ sitemapUrl }),
+      (error) =>
+        error instanceof ValidationError && /No pages/.test(error.message)
+    );
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CriticalCSSExtractor } = require('../lib/extractor');
+const { CSSParser } = require('../lib/css-parser');
+
+const mobile = { name: 'mobile', width: 375 };
+const desktop = { name: 'desktop', width: 1280 };
+
+/**
+ * Combine the given per-viewport CSS and return its rules by selector
+ */
+function combine(mobileCSS, desktopCSS, breakpoints = [768]) {
+  const combined = new CriticalCSSExtractor().combineViewportCSS([
+    { criticalCSS: desktopCSS, viewport: desktop, breakpoints },
+    { criticalCSS: mobileCSS, viewport: mobile, breakpoints },
+  ]);
+  const rules = new CSSParser().parseCSS(combined.css);
+  return {
+    layers: combined.layers,
+    atRulesOf: (selector) =>
+      rules
+        .filter((rule) => rule.selector === selector)
+        .map((rule) => rule.atRules.map((atRule) => atRule.prelude)),
+  };
+}
+
+test('combineViewportCSS layers wider viewports mobile-first', () => {
+  const { layers, atRulesOf } = combine(
+    '.nav { display: block; }',
+    '.nav { display: flex; }'
+  );
+
+  assert.deepEqual(
+    layers.map((layer) => layer.minWidth),
+    [0, 768]
+  );
+  assert.deepEqual(atRulesOf('.nav'), [[], ['(min-width: 768px)']]);
+});
+
+test('combineViewportCSS nests desktop-only @media rules in the layer', () => {
+  const { atRulesOf } = combine(
+    '.nav { display: block; }',
+    `.nav { display: block; }
+     @media (prefers-color-scheme: dark) { .hero { color: black; } }
+     @media (min-width: 900px) { .side { display: block; } }`
+  );
+
+  assert.deepEqual(atRulesOf('.hero'), [
+    ['(min-width: 768px)', '(prefers-color-scheme: dark)'],
+  ]);
+  assert.deepEqual(atRulesOf('.side'), [
+    ['(min-width: 768px)', '(min-width: 900px)'],
+  ]);
+  // Shared declarations are only emitted by the base layer
+  assert.deepEqual(atRulesOf('.nav'), [[]]);
+});
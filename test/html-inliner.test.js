@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { HTMLInliner } = require('../lib/html-inliner');
+
+const PAGE = [
+  '<!doctype html><html><head><meta charset="utf-8">',
+  '<link rel="stylesheet" href="/main.css" media="screen">',
+  '<link rel="alternate stylesheet" href="/alt.css">',
+  '<link rel="icon" href="/favicon.ico">',
+  '<noscript><link rel="stylesheet" href="/noscript.css"></noscript>',
+  '</head><body></body></html>',
+].join('');
+
+const ORIGINAL_LINK = '<link rel="stylesheet" href="/main.css" media="screen">';
+
+test('media-swap defers stylesheets with a noscript fallback', () => {
+  const html = new HTMLInliner().inline(PAGE, { criticalCSS: '.a{color:red}' });
+
+  assert.ok(
+    html.includes(
+      `<link rel="stylesheet" href="/main.css" media="print" onload="this.onload=null;this.media='screen'"><noscript>${ORIGINAL_LINK}</noscript>`
+    )
+  );
+  // Alternate sheets, other links and existing <noscript> stay as they were
+  assert.ok(html.includes('<link rel="alternate stylesheet" href="/alt.css">'));
+  assert.ok(html.includes('<link rel="icon" href="/favicon.ico">'));
+  assert.ok(
+    html.includes(
+      '<noscript><link rel="stylesheet" href="/noscript.css"></noscript>'
+    )
+  );
+});
+
+test('preload defers stylesheets with a noscript fallback', () => {
+  const html = new HTMLInliner({ deferStrategy: 'preload' }).inline(PAGE);
+
+  assert.ok(
+    html.includes(
+      `<link rel="preload" href="/main.css" media="screen" as="style" onload="this.onload=null;this.rel='stylesheet'"><noscript>${ORIGINAL_LINK}</noscript>`
+    )
+  );
+  assert.ok(!html.includes('<style data-critical-css>'));
+});
+
+test('critical CSS and font preloads go after <meta charset>', () => {
+  const preload = '<link rel="preload" href="/f.woff2" as="font" crossorigin>';
+  const html = new HTMLInliner().inline(PAGE, {
+    criticalCSS: '.a{content:"</style>"}',
+    fontPreloads: [preload, preload],
+  });
+
+  assert.ok(
+    html.startsWith(
+      `<!doctype html><html><head><meta charset="utf-8">\n${preload}\n<style data-critical-css>.a{content:"<\\/style>"}</style>`
+    )
+  );
+  assert.equal(html.split(preload).length, 2);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue } = require('../lib/job-queue');
+const { QueueFullError } = require('../lib/errors');
+
+// A handler that only settles when the returned `finish` is called
+function deferred() {
+  let finish;
+  const promise = new Promise((resolve) => {
+    finish = resolve;
+  });
+  return { handler: () => promise, finish };
+}
+
+test('enqueue refuses jobs beyond maxPending', () => {
+  const queue = new JobQueue({ concurrency: 1, maxPending: 2 });
+  const running = deferred();
+
+  queue.enqueue(running.handler); // takes the only slot
+  queue.enqueue(running.handler);
+  queue.enqueue(running.handler);
+
+  assert.equal(queue.isFull(), true);
+  assert.throws(() => queue.enqueue(running.handler), QueueFullError);
+  running.finish();
+});
+
+test('run shares the slots of queued jobs', async () => {
+  const queue = new JobQueue({ concurrency: 1, maxPending: 5 });
+  const job = deferred();
+  queue.enqueue(job.handler);
+
+  let ran = false;
+  const result = queue.run(async () => {
+    ran = true;
+    return 'done';
+  });
+
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(ran, false);
+  assert.equal(queue.getStats().waiting, 1);
+
+  job.finish();
+  assert.equal(await result, 'done');
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(queue.getStats().active, 0);
+});
+
+test('run rejects with the handler error and frees its slot', async () => {
+  const queue = new JobQueue({ concurrency: 1 });
+
+  await assert.rejects(
+    queue.run(async () => {
+      throw new Error('boom');
+    }),
+    /boom/
+  );
+  assert.equal(await queue.run(async () => 42), 42);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { PageDiscovery } = require('../lib/page-discovery');
+const { StylesheetFetcher } = require('../lib/stylesheet-fetcher');
+
+test('sitemap requests carry the user agent and credentials', () => {
+  const discovery = new PageDiscovery(null, {
+    userAgent: 'TestBot/1.0',
+    auth: {
+      cookies: [{ name: 'session', value: 'abc' }],
+      headers: { 'X-Preview-Token': 'preview' },
+      httpCredentials: { username: 'staging', password: 'secret' },
+    },
+  });
+  const rootUrl = 'https://example.com/sitemap.xml';
+
+  const headers = discovery.getSitemapHeaders(rootUrl, rootUrl);
+  assert.equal(headers['User-Agent'], 'TestBot/1.0');
+  assert.equal(headers['X-Preview-Token'], 'preview');
+  assert.equal(headers.Cookie, 'session=abc');
+  assert.match(headers.Authorization, /^Basic /);
+  assert.match(headers.Accept, /application\/xml/);
+
+  // A child sitemap on another origin gets no credentials
+  const child = discovery.getSitemapHeaders(
+    'https://cdn.example.net/sitemap-1.xml',
+    rootUrl
+  );
+  assert.equal(child.Cookie, undefined);
+  assert.equal(child.Authorization, undefined);
+  assert.equal(child['X-Preview-Token'], undefined);
+  assert.equal(child['User-Agent'], 'TestBot/1.0');
+});
+
+test('sitemap requests without auth only set Accept and the user agent', () => {
+  assert.deepEqual(
+    Object.keys(new PageDiscovery(null).getSitemapHeaders('https://a.test/s')),
+    ['Accept']
+  );
+});
+
+test('sitemap discovery follows redirects', async () => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/sitemap.xml') {
+      res.writeHead(301, { Location: '/sitemap_index.xml' }).end();
+    } else {
+      res.end(
+        '<?xml version="1.0"?><urlset><url><loc>https://example.com/a</loc></url></urlset>'
+      );
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const sitemapUrl = `http://127.0.0.1:${server.address().port}/sitemap.xml`;
+
+  try {
+    const discovery = new PageDiscovery({
+      stylesheetFetcher: new StylesheetFetcher(),
+    });
+    assert.deepEqual(await discovery.discoverFromSitemap(sitemapUrl), [
+      'https://example.com/a',
+    ]);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,175 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { StylesheetFetcher } = require('../lib/stylesheet-fetcher');
+
+/**
+ * Serve `routes` (path -> handler(req, res)) on a random local port
+ * @returns {Promise<Object>} { url, close }
+ */
+async function serve(routes) {
+  const server = http.createServer((req, res) => {
+    const handler = routes[req.url];
+    if (!handler) {
+      res.writeHead(404).end();
+      return;
+    }
+    handler(req, res);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+const redirect = (location, status = 301) => (req, res) =>
+  res.writeHead(status, { Location: location }).end();
+
+test('httpRequest follows relative redirects', async () => {
+  const server = await serve({
+    '/sitemap.xml': redirect('/sitemap_index.xml'),
+    '/sitemap_index.xml': redirect('sitemap-final.xml', 302),
+    '/sitemap-final.xml': (req, res) => res.end('<urlset></urlset>'),
+  });
+
+  try {
+    const response = await new StylesheetFetcher().httpRequest(
+      `${server.url}/sitemap.xml`
+    );
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body, '<urlset></urlset>');
+  } finally {
+    await server.close();
+  }
+});
+
+test('httpRequest stops after MAX_REDIRECTS', async () => {
+  const server = await serve({ '/loop': redirect('/loop') });
+
+  try {
+    await assert.rejects(
+      new StylesheetFetcher().httpRequest(`${server.url}/loop`),
+      /Too many redirects/
+    );
+  } finally {
+    await server.close();
+  }
+});
+
+test('redirects to another origin drop the credentials', async () => {
+  let received;
+  const target = await serve({
+    '/main.css': (req, res) => {
+      received = req.headers;
+      res.end('body{margin:0}');
+    },
+  });
+  const origin = await serve({ '/main.css': redirect(`${target.url}/main.css`) });
+
+  try {
+    const response = await new StylesheetFetcher().httpRequest(
+      `${origin.url}/main.css`,
+      {
+        'User-Agent': 'TestBot/1.0',
+        Authorization: 'Basic c2VjcmV0',
+        Cookie: 'session=abc',
+      }
+    );
+    assert.equal(response.body, 'body{margin:0}');
+    assert.equal(received['user-agent'], 'TestBot/1.0');
+    assert.equal(received.authorization, undefined);
+    assert.equal(received.cookie, undefined);
+  } finally {
+    await Promise.all([origin.close(), target.close()]);
+  }
+});
+
+// Stylesheets for the @import tests: a.css imports nested/c.css, which
+// imports a.css back
+const IMPORTED_SHEETS = {
+  '/css/a.css': '@import "nested/c.css" layer(base);.a{color:red}',
+  '/css/nested/c.css': '@import "../a.css";.c{color:blue}',
+  '/css/b.css': '.b{margin:0}',
+};
+
+/**
+ * Serve IMPORTED_SHEETS and resolve the imports of `css` as if it were
+ * /css/main.css
+ */
+async function resolveMainImports(css, options = {}) {
+  const server = await serve(
+    Object.fromEntries(
+      Object.entries(IMPORTED_SHEETS).map(([path, body]) => [
+        path,
+        (req, res) => res.end(body),
+      ])
+    )
+  );
+
+  try {
+    const parts = await new StylesheetFetcher(options).resolveImports(
+      css,
+      `${server.url}/css/main.css`
+    );
+    return parts.map((part) => ({
+      ...part,
+      url: part.url.slice(server.url.length),
+    }));
+  } finally {
+    await server.close();
+  }
+}
+
+test('resolveImports keeps cascade order and import conditions', async () => {
+  const parts = await resolveMainImports(
+    '@import url(a.css) screen;@import "b.css" supports(display: grid);.page{}'
+  );
+
+  assert.deepEqual(parts, [
+    {
+      url: '/css/nested/c.css',
+      css: '.c{color:blue}',
+      conditions: [
+        { name: 'media', prelude: 'screen' },
+        { name: 'layer', prelude: 'base' },
+      ],
+    },
+    {
+      url: '/css/a.css',
+      css: '.a{color:red}',
+      conditions: [{ name: 'media', prelude: 'screen' }],
+    },
+    {
+      url: '/css/b.css',
+      css: '.b{margin:0}',
+      conditions: [{ name: 'supports', prelude: '(display: grid)' }],
+    },
+    { url: '/css/main.css', css: '.page{}', conditions: [] },
+  ]);
+});
+
+test('resolveImports drops circular imports', async () => {
+  const parts = await resolveMainImports('@import "a.css";');
+
+  // c.css imports a.css again, which is skipped
+  assert.deepEqual(
+    parts.map((part) => part.url),
+    ['/css/nested/c.css', '/css/a.css', '/css/main.css']
+  );
+  assert.equal(parts[0].css, '.c{color:blue}');
+});
+
+test('resolveImports stops at maxImportDepth', async () => {
+  const parts = await resolveMainImports('@import "a.css";.page{}', {
+    maxImportDepth: 1,
+  });
+
+  assert.deepEqual(
+    parts.map((part) => [part.url, part.css]),
+    [
+      ['/css/a.css', '.a{color:red}'],
+      ['/css/main.css', '.page{}'],
+    ]
+  );
+});
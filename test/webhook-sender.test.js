@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { WebhookSender } = require('../lib/webhook-sender');
+
+/**
+ * Record the requests of a local callback endpoint that answers with the
+ * given status codes in turn (the last one repeats)
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+async function listen(statusCodes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      const index = Math.min(requests.length, statusCodes.length) - 1;
+      res.writeHead(statusCodes[index]).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test('deliveries carry an HMAC of the timestamp and body', async () => {
+  const endpoint = await listen([200]);
+  const sender = new WebhookSender({ secret: 'shh' });
+
+  try {
+    const outcome = await sender.deliver(
+      endpoint.url,
+      { event: 'extraction.completed', id: 'job-1' },
+      'job-1'
+    );
+    assert.deepEqual(outcome, {
+      delivered: true,
+      attempts: 1,
+      statusCode: 200,
+    });
+
+    const [{ headers, body }] = endpoint.requests;
+    const timestamp = headers['x-webhook-timestamp'];
+    const expected = crypto
+      .createHmac('sha256', 'shh')
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+    assert.equal(headers['x-signature-256'], `sha256=${expected}`);
+    assert.equal(headers['x-webhook-delivery'], 'job-1');
+    assert.deepEqual(JSON.parse(body), {
+      event: 'extraction.completed',
+      id: 'job-1',
+    });
+  } finally {
+    await endpoint.close();
+  }
+});
+
+test('transient failures are retried with the same delivery ID', async () => {
+  const endpoint = await listen([503, 429, 200]);
+  const sender = new WebhookSender({ secret: 'shh', initialDelay: 1 });
+
+  try {
+    const outcome = await sender.deliver(endpoint.url, {}, 'job-2');
+    assert.equal(outcome.delivered, true);
+    assert.equal(outcome.attempts, 3);
+    assert.deepEqual(
+      endpoint.requests.map(({ headers }) => headers['x-webhook-delivery']),
+      ['job-2', 'job-2', 'job-2']
+    );
+  } finally {
+    await endpoint.close();
+  }
+});
+
+test('client errors are not retried', async () => {
+  const endpoint = await listen([400]);
+  const sender = new WebhookSender({ secret: 'shh', initialDelay: 1 });
+
+  try {
+    const outcome = await sender.deliver(endpoint.url, {}, 'job-3');
+    assert.deepEqual(outcome, {
+      delivered: false,
+      attempts: 1,
+      statusCode: 400,
+      error: 'HTTP 400',
+    });
+  } finally {
+    await endpoint.close();
+  }
+});
+
+test('retry delays double up to maxDelay, with jitter', (t) => {
+  const sender = new WebhookSender({ initialDelay: 1000, maxDelay: 5000 });
+
+  t.mock.method(Math, 'random', () => 0);
+  assert.deepEqual(
+    [1, 2, 3, 4].map((attempt) => sender.getRetryDelay(attempt)),
+    [500, 1000, 2000, 2500]
+  );
+
+  t.mock.method(Math, 'random', () => 1);
+  assert.deepEqual(
+    [1, 2, 3, 4].map((attempt) => sender.getRetryDelay(attempt)),
+    [1000, 2000, 4000, 5000]
+  );
+});